@@ -0,0 +1,1725 @@
+// DSA question bank
+//
+// Questions in DsaQuestions (add, get, update, delete, search), checking
+// solutions against their test cases, practice tracking with spaced
+// repetition and printable problem sets. This is the "dsa" entry of the
+// "plugins" list in config.json, which is loaded when the list is not set;
+// leave it out to run a plain MongoDB server.
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { spawn } = require('child_process');
+
+// Question Schema (your original DSA questions)
+const questionSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: { type: String, required: true },
+  datastructure: [{ type: String, required: true }],
+  algorithm: [{ type: String, required: true }],
+  constraints: { type: String, required: true },
+  testcases: [
+    {
+      input: { type: String, required: true },
+      output: { type: String, required: true }
+    }
+  ],
+  level: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    required: true
+  },
+  // Lookup key for duplicate detection, kept in sync with name
+  normalizedName: { type: String, index: true, select: false }
+}, { timestamps: true });
+
+// "Two Sum", "two-sum" and " TWO  SUM " are the same question
+const normalizeQuestionName = (name) => String(name)
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+questionSchema.set('toObject', {
+  transform: (doc, ret) => {
+    delete ret.normalizedName;
+    return ret;
+  }
+});
+
+questionSchema.pre('validate', function () {
+  if (this.isModified('name') || !this.normalizedName) {
+    this.normalizedName = normalizeQuestionName(this.name);
+  }
+});
+
+// Support the level / data structure / algorithm filters of get_dsa_questions,
+// which sort newest first
+questionSchema.index({ level: 1, createdAt: -1 });
+questionSchema.index({ datastructure: 1, createdAt: -1 });
+questionSchema.index({ algorithm: 1, createdAt: -1 });
+
+// search_dsa_questions; matches in the name count more than in the description
+questionSchema.index(
+  { name: 'text', description: 'text' },
+  { name: 'question_text', weights: { name: 10, description: 1 } }
+);
+
+const Question = mongoose.model('Question', questionSchema, 'DsaQuestions');
+
+const questionProperties = {
+  name: { type: 'string', description: 'Question title or name' },
+  description: { type: 'string', description: 'Problem statement' },
+  datastructure: { 
+    type: 'array', 
+    items: { type: 'string' },
+    description: 'List of data structures used (e.g., ["array", "hash table"])'
+  },
+  algorithm: { 
+    type: 'array', 
+    items: { type: 'string' },
+    description: 'List of algorithms used (e.g., ["hashing", "dynamic programming"])'
+  },
+  constraints: { type: 'string', description: 'Problem constraints as plain text' },
+  testcases: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        input: { type: 'string', description: 'Input format example' },
+        output: { type: 'string', description: 'Output format example' }
+      },
+      required: ['input', 'output']
+    },
+    description: 'Array of test cases'
+  },
+  level: { 
+    type: 'string', 
+    enum: ['easy', 'medium', 'hard'],
+    description: 'Difficulty level of the question'
+  }
+};
+
+const questionLookupProperties = {
+  id: { type: 'string', description: 'Question ID' },
+  name: { type: 'string', description: 'Exact question name (used when no id is given)' }
+};
+
+// Full text of one question, including the statement and test cases
+// Takes a redacted question (see DsaTools#questionOutput), so any field may be missing
+const formatQuestion = (q) =>
+  `**${q.name}** (${q.level})\n` +
+  `ID: ${q._id}\n` +
+  `Data Structures: ${[].concat(q.datastructure ?? []).join(', ')}\n` +
+  `Algorithms: ${[].concat(q.algorithm ?? []).join(', ')}\n\n` +
+  `**Description:**\n${q.description}\n\n` +
+  `**Constraints:**\n${q.constraints}\n\n` +
+  `**Test Cases:**\n${[].concat(q.testcases ?? []).map((testcase, index) =>
+    `${index + 1}. Input: ${testcase?.input}\n   Output: ${testcase?.output}`
+  ).join('\n') || '(none)'}`;
+
+// Practice tracking
+//
+// Every attempt is kept in DsaAttempts. DsaReviews holds one row per user and
+// question with the spaced-repetition schedule (SM-2: the review interval grows
+// with each successful repetition and resets after a failure).
+const attemptSchema = new mongoose.Schema({
+  user: { type: String, required: true },
+  question: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
+  result: { type: String, enum: ['solved', 'partial', 'failed'], required: true },
+  timeSpentSeconds: { type: Number, min: 0 },
+  notes: { type: String }
+}, { timestamps: true });
+
+attemptSchema.index({ user: 1, createdAt: -1 });
+attemptSchema.index({ user: 1, question: 1, createdAt: -1 });
+
+const Attempt = mongoose.model('Attempt', attemptSchema, 'DsaAttempts');
+
+const reviewSchema = new mongoose.Schema({
+  user: { type: String, required: true },
+  question: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
+  attempts: { type: Number, default: 0 },
+  successes: { type: Number, default: 0 },
+  solved: { type: Boolean, default: false },
+  repetitions: { type: Number, default: 0 },
+  intervalDays: { type: Number, default: 0 },
+  easeFactor: { type: Number, default: 2.5 },
+  lastResult: { type: String, enum: ['solved', 'partial', 'failed'] },
+  lastAttemptAt: { type: Date },
+  dueAt: { type: Date, required: true }
+}, { timestamps: true });
+
+reviewSchema.index({ user: 1, question: 1 }, { unique: true });
+reviewSchema.index({ user: 1, dueAt: 1 });
+
+const Review = mongoose.model('Review', reviewSchema, 'DsaReviews');
+
+// Tag dimensions shared by get_collection_stats, get_progress and get_next_question
+const QUESTION_DIMENSIONS = ['level', 'algorithm', 'datastructure'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SM-2 answer quality for each attempt result; only a solve moves the review further out
+const RESULT_QUALITY = { solved: 5, partial: 2, failed: 0 };
+
+// Next review for a schedule after an attempt with the given result
+const scheduleReview = (review, result, now) => {
+  const quality = RESULT_QUALITY[result];
+  let { repetitions = 0, intervalDays = 0, easeFactor = 2.5 } = review;
+  
+  if (quality >= 3) {
+    repetitions += 1;
+    intervalDays = repetitions === 1 ? 1 : repetitions === 2 ? 3 : Math.round(intervalDays * easeFactor);
+  } else {
+    repetitions = 0;
+    intervalDays = 1;
+  }
+  easeFactor = Math.max(1.3, easeFactor + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  
+  return {
+    repetitions,
+    intervalDays,
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    dueAt: new Date(now.getTime() + intervalDays * DAY_MS)
+  };
+};
+
+// Solved / attempted counts per tag value for one user. weakness is
+// 1 - (successes + 1) / (attempts + 2), so unpractised topics sit at 0.5 and
+// topics with many failed attempts approach 1.
+const summarizeProgress = (questions, reviewsByQuestion) => {
+  const dimensions = Object.fromEntries(QUESTION_DIMENSIONS.map(dimension => [dimension, new Map()]));
+  
+  for (const question of questions) {
+    const review = reviewsByQuestion.get(String(question._id));
+    for (const dimension of QUESTION_DIMENSIONS) {
+      for (const value of [].concat(question[dimension] || [])) {
+        let entry = dimensions[dimension].get(value);
+        if (!entry) {
+          entry = { value, total: 0, attempted: 0, solved: 0, attempts: 0, successes: 0 };
+          dimensions[dimension].set(value, entry);
+        }
+        entry.total += 1;
+        if (review) {
+          entry.attempted += 1;
+          entry.solved += review.solved ? 1 : 0;
+          entry.attempts += review.attempts;
+          entry.successes += review.successes;
+        }
+      }
+    }
+  }
+  
+  return Object.fromEntries(QUESTION_DIMENSIONS.map(dimension => [
+    dimension,
+    [...dimensions[dimension].values()]
+      .map(entry => ({
+        ...entry,
+        weakness: Math.round((1 - (entry.successes + 1) / (entry.attempts + 2)) * 1000) / 1000
+      }))
+      .sort((a, b) => b.total - a.total || String(a.value).localeCompare(String(b.value)))
+  ]));
+};
+
+// Problem sets
+//
+// build_problem_set draws questions with a seeded PRNG, so the same seed,
+// quotas and question bank always give the same set.
+const QUESTION_LEVELS = ['easy', 'medium', 'hard'];
+
+// mulberry32 seeded from a SHA-256 of the seed text
+const createSeededRandom = (seed) => {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const seededShuffle = (items, random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+const questionTags = (question) => [...question.algorithm, ...question.datastructure].map(tag => tag.toLowerCase());
+
+// Fills the level quotas from shuffled candidates. Required tags are covered
+// first, each by the candidate covering the most still-uncovered tags; the
+// remaining slots take candidates in shuffled order.
+const selectProblemSet = (candidates, quotas, requireTags, random) => {
+  const pools = Object.fromEntries(QUESTION_LEVELS.map(level => [
+    level,
+    seededShuffle(candidates.filter(question => question.level === level), random)
+  ]));
+  const remaining = { ...quotas };
+  const selected = [];
+  const uncovered = new Set(requireTags);
+  
+  const take = (question) => {
+    selected.push(question);
+    remaining[question.level] -= 1;
+    pools[question.level] = pools[question.level].filter(candidate => candidate !== question);
+    questionTags(question).forEach(tag => uncovered.delete(tag));
+  };
+  
+  for (const tag of requireTags) {
+    if (!uncovered.has(tag)) {
+      continue;
+    }
+    let best = null;
+    let bestCoverage = 0;
+    for (const level of QUESTION_LEVELS.filter(level => remaining[level] > 0)) {
+      for (const question of pools[level]) {
+        const tags = questionTags(question);
+        if (!tags.includes(tag)) {
+          continue;
+        }
+        const coverage = tags.filter(candidateTag => uncovered.has(candidateTag)).length;
+        if (coverage > bestCoverage) {
+          best = question;
+          bestCoverage = coverage;
+        }
+      }
+    }
+    if (best) {
+      take(best);
+    }
+  }
+  
+  for (const level of QUESTION_LEVELS) {
+    while (remaining[level] > 0 && pools[level].length > 0) {
+      take(pools[level][0]);
+    }
+  }
+  
+  const warnings = [
+    ...QUESTION_LEVELS.filter(level => remaining[level] > 0)
+      .map(level => `Only ${quotas[level] - remaining[level]} of ${quotas[level]} ${level} questions were available`),
+    ...[...uncovered].map(tag => `No available question covers "${tag}" within the level quotas`)
+  ];
+  
+  selected.sort((a, b) => QUESTION_LEVELS.indexOf(a.level) - QUESTION_LEVELS.indexOf(b.level));
+  return { selected, warnings };
+};
+
+const formatWorksheet = (title, questions, samplesPerQuestion) => [
+  `# ${title}`,
+  '',
+  ...questions.flatMap((question, index) => [
+    `## ${index + 1}. ${question.name} (${question.level})`,
+    '',
+    question.description,
+    '',
+    '### Constraints',
+    '',
+    question.constraints,
+    '',
+    ...(samplesPerQuestion > 0 && [].concat(question.testcases ?? []).length > 0 ? [
+      '### Examples',
+      '',
+      ...[].concat(question.testcases ?? []).slice(0, samplesPerQuestion).flatMap((testcase, sample) => [
+        `**Example ${sample + 1}**`,
+        '',
+        '```',
+        `Input: ${testcase?.input}`,
+        `Output: ${testcase?.output}`,
+        '```',
+        ''
+      ])
+    ] : [])
+  ])
+].join('\n');
+
+const formatAnswerKey = (title, questions, seed) => [
+  `# ${title}: Answer Key`,
+  '',
+  `Seed: \`${seed}\``,
+  '',
+  ...questions.flatMap((question, index) => [
+    `## ${index + 1}. ${question.name} (${question.level})`,
+    '',
+    `- ID: \`${question._id}\``,
+    `- Algorithms: ${[].concat(question.algorithm ?? []).join(', ')}`,
+    `- Data Structures: ${[].concat(question.datastructure ?? []).join(', ')}`,
+    '',
+    '| # | Input | Expected Output |',
+    '|---|-------|-----------------|',
+    ...[].concat(question.testcases ?? []).map((testcase, caseIndex) =>
+      `| ${caseIndex + 1} | \`${toTableCell(testcase?.input, 200)}\` | \`${toTableCell(testcase?.output, 200)}\` |`
+    ),
+    ''
+  ])
+].join('\n');
+
+// Solution sandbox
+//
+// run_solution executes candidate JavaScript against a question's test cases.
+// Each case runs in its own Node process started with the permission model
+// (no file system, child processes or workers) and an empty environment, under
+// a memory cap and a hard timeout. Inside it the code gets a fresh vm context
+// with no require, process or string eval; console and module are created in
+// that context, so no object from the host realm is reachable from the code.
+// The permission model is experimental (its flags differ between Node versions)
+// and does not restrict the network, so the tool is opt-in: it is only offered
+// when "security.tools.enable" lists run_solution.
+const getSandboxSettings = (config) => ({
+  timeoutMs: config.sandbox?.timeoutMs || 2000,
+  memoryMb: config.sandbox?.memoryMb || 64,
+  maxCodeBytes: config.sandbox?.maxCodeBytes || 100000,
+  comparison: config.sandbox?.comparison || 'whitespace'
+});
+
+// Node 20 and 21 only know the experimental spelling
+const PERMISSION_FLAG = ['--permission', '--experimental-permission']
+  .find(flag => process.allowedNodeEnvironmentFlags.has(flag));
+
+// Result, logs and error stay inside the context until they are read back as one JSON string
+const SANDBOX_CONTEXT_SETUP = `
+var __logs = [];
+var __outcome = { done: false, actual: null, error: null };
+var __show = (value) => typeof value === 'string' ? value : (JSON.stringify(value) ?? String(value));
+var __log = (...values) => { __logs.push(values.map(__show).join(' ')); };
+var console = { log: __log, info: __log, warn: __log, error: __log };
+var module = { exports: {} };
+`;
+
+// Runs in the child process; strict mode so solution code cannot walk .caller into host functions
+const SANDBOX_PROCESS_SOURCE = `
+'use strict';
+const vm = require('vm');
+const { performance } = require('perf_hooks');
+
+const respond = (message) => process.stdout.write(JSON.stringify(message) + '\\n', () => process.exit(0));
+const describe = (error) => String((error && error.message) || error);
+
+let raw = '';
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', (chunk) => { raw += chunk; });
+process.stdin.on('end', async () => {
+  const { code, entry, input, inputFormat, timeoutMs, setup } = JSON.parse(raw);
+  // A null-prototype global: this.constructor must not lead to this realm's Function
+  const sandbox = Object.create(null);
+  sandbox.__input = input;
+  const context = vm.createContext(sandbox, { codeGeneration: { strings: false, wasm: false } });
+  // Refuse to run solutions where string evaluation is not actually blocked
+  for (const probe of ['eval("1")', 'Function("return 1")()', '(async () => {}).constructor("return 1")']) {
+    let evaluated = true;
+    try {
+      vm.runInContext(probe, context);
+    } catch (error) {
+      evaluated = false;
+    }
+    if (evaluated) {
+      respond({ error: 'This Node.js version does not block eval inside the sandbox', logs: [] });
+      return;
+    }
+  }
+  const read = () => {
+    const state = vm.runInContext('JSON.stringify({ outcome: __outcome, logs: __logs })', context, { timeout: timeoutMs });
+    return typeof state === 'string' ? JSON.parse(state) : { outcome: { error: 'Solution tampered with the sandbox' }, logs: [] };
+  };
+  
+  let started;
+  try {
+    vm.runInContext(setup, context);
+    vm.runInContext(code, context, { filename: 'solution.js', timeout: timeoutMs });
+    started = performance.now();
+    vm.runInContext(\`(async () => {
+      const __solve = typeof module.exports === 'function' ? module.exports
+        : typeof module.exports[\${JSON.stringify(entry)}] === 'function' ? module.exports[\${JSON.stringify(entry)}]
+        : typeof \${entry} === 'function' ? \${entry} : undefined;
+      if (!__solve) {
+        throw new Error('Solution does not define a function named "\${entry}" (or assign one to module.exports)');
+      }
+      const result = await __solve(\${inputFormat === 'json' ? 'JSON.parse(__input)' : '__input'});
+      __outcome.actual = result === undefined ? __logs.join('\\\\n') : __show(result);
+    })().catch((error) => { __outcome.error = String((error && error.message) || error); })
+      .finally(() => { __outcome.done = true; });\`, context, { timeout: timeoutMs });
+  } catch (error) {
+    respond({ error: describe(error), logs: [] });
+    return;
+  }
+  
+  // The context has no timers, so an async solution settles within the microtask
+  // queue that runs before this callback, or never
+  setImmediate(() => {
+    const durationMs = performance.now() - started;
+    try {
+      const { outcome, logs } = read();
+      if (!outcome.done && !outcome.error) {
+        respond({ error: 'Solution finished without a result (a promise that never settles?)', logs });
+      } else {
+        respond({ actual: outcome.error ? null : outcome.actual, error: outcome.error || undefined, logs, durationMs });
+      }
+    } catch (error) {
+      respond({ error: describe(error), logs: [] });
+    }
+  });
+});
+`;
+
+// Caps what a runaway solution can send back before the process is killed
+const SANDBOX_MAX_OUTPUT_BYTES = 4 * 1024 * 1024;
+
+// Runs one test case; never rejects, failures are reported in the result
+const runSandboxedCase = (code, input, { entry, inputFormat, timeoutMs, memoryMb }) => new Promise((resolve) => {
+  const started = Date.now();
+  if (!PERMISSION_FLAG) {
+    resolve({ durationMs: 0, error: 'run_solution needs Node.js 20 or later (process permission model)' });
+    return;
+  }
+  
+  const child = spawn(process.execPath, [
+    PERMISSION_FLAG,
+    '--no-warnings',
+    `--max-old-space-size=${memoryMb}`,
+    `--max-semi-space-size=${Math.max(Math.floor(memoryMb / 8), 1)}`,
+    '-e',
+    SANDBOX_PROCESS_SOURCE
+  ], { env: {}, stdio: ['pipe', 'pipe', 'pipe'] });
+  
+  let settled = false;
+  let stdout = '';
+  let stderr = '';
+  const finish = (result) => {
+    if (!settled) {
+      settled = true;
+      clearTimeout(timer);
+      child.kill('SIGKILL');
+      resolve({ durationMs: Date.now() - started, ...result });
+    }
+  };
+  // Covers promises that never settle; synchronous loops are stopped by the vm timeout
+  const timer = setTimeout(() => finish({ timedOut: true, error: `Timed out after ${timeoutMs} ms` }), timeoutMs + 1000);
+  
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', (chunk) => {
+    stdout += chunk;
+    if (stdout.length > SANDBOX_MAX_OUTPUT_BYTES) {
+      finish({ error: `Output exceeded ${SANDBOX_MAX_OUTPUT_BYTES} bytes` });
+    }
+  });
+  child.stderr.setEncoding('utf8');
+  child.stderr.on('data', (chunk) => { stderr = (stderr + chunk).slice(-2000); });
+  child.on('error', (error) => finish({ error: `Could not start the sandbox: ${error.message}` }));
+  child.on('close', () => {
+    try {
+      finish(JSON.parse(stdout.trim().split('\n').pop()));
+    } catch {
+      finish({
+        error: /heap out of memory|Allocation failed/i.test(stderr)
+          ? `Exceeded the ${memoryMb} MB memory limit`
+          : 'Solution process exited without a result'
+      });
+    }
+  });
+  // A solution that exits early closes stdin under us
+  child.stdin.on('error', () => {});
+  child.stdin.end(JSON.stringify({ code, entry, input, inputFormat, timeoutMs, setup: SANDBOX_CONTEXT_SETUP }));
+});
+
+const OUTPUT_COMPARISONS = {
+  exact: (actual, expected) => actual === expected,
+  // Same whitespace-separated tokens, ignoring spacing and line breaks
+  whitespace: (actual, expected) => actual.trim().split(/\s+/).join(' ') === expected.trim().split(/\s+/).join(' '),
+  json: (actual, expected) => {
+    try {
+      return isDeepStrictEqual(JSON.parse(actual), JSON.parse(expected));
+    } catch {
+      return false;
+    }
+  }
+};
+
+// Markdown table cells: one line, no pipes, bounded length
+const toTableCell = (value, maxLength = 60) => {
+  const text = String(value ?? '').replace(/\s+/g, ' ').replace(/\|/g, '\\|');
+  return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+};
+
+class DsaTools {
+  constructor(host, config, helpers) {
+    this.host = host; // The MongoMCPServer this plugin is registered with
+    this.config = config;
+    this.helpers = helpers; // Host helpers bound to that server's config
+  }
+
+  // A question as returned to the client, with the redaction rules applied
+  questionOutput(question) {
+    return this.helpers.redactDocument(question.toObject(), Question.collection.collectionName);
+  }
+
+  // Questions echoed back by the write tools, fitted into the response budget
+  budgetedQuestion(question) {
+    return this.helpers.budgetDocuments([this.questionOutput(question)]).documents[0];
+  }
+
+  // Questions saved before normalizedName existed get it filled in once per process
+  async backfillNormalizedNames() {
+    if (!this.normalizedNamesBackfill) {
+      this.normalizedNamesBackfill = (async () => {
+        const legacy = await Question.find({ normalizedName: { $exists: false } }, { name: 1 })
+          .maxTimeMS(this.helpers.getQueryGuardSettings().maxTimeMS)
+          .lean();
+        if (legacy.length > 0) {
+          await Question.bulkWrite(legacy.map(q => ({
+            updateOne: { filter: { _id: q._id }, update: { $set: { normalizedName: normalizeQuestionName(q.name) } } }
+          })));
+        }
+      })();
+      this.normalizedNamesBackfill.catch(() => { this.normalizedNamesBackfill = null; });
+    }
+    await this.normalizedNamesBackfill;
+  }
+
+  async findDuplicateQuestion(name, excludeId) {
+    await this.backfillNormalizedNames();
+    const filter = { normalizedName: normalizeQuestionName(name) };
+    if (excludeId) {
+      filter._id = { $ne: excludeId };
+    }
+    return Question.findOne(filter).maxTimeMS(this.helpers.getQueryGuardSettings().maxTimeMS);
+  }
+
+  async findQuestion({ id, name }) {
+    if (id) {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new Error(`"${id}" is not a valid question id`);
+      }
+      return Question.findById(id).maxTimeMS(this.helpers.getQueryGuardSettings().maxTimeMS);
+    }
+    if (name) {
+      const { maxTimeMS } = this.helpers.getQueryGuardSettings();
+      return await Question.findOne({ name }).maxTimeMS(maxTimeMS) ||
+        await Question.findOne({ normalizedName: normalizeQuestionName(name) }).maxTimeMS(maxTimeMS);
+    }
+    throw new Error('Provide either "id" or "name"');
+  }
+
+  async addDsaQuestion(args) {
+    const { question } = args;
+    
+    try {
+      const existing = await this.findDuplicateQuestion(question.name);
+      if (existing) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Question not added: "${question.name}" is a duplicate of the existing question "${existing.name}"\n` +
+                    `ID: ${existing._id}\nUse update_dsa_question to change it.`
+            }
+          ],
+          structuredContent: {
+            question: this.budgetedQuestion(existing),
+            duplicate: true
+          }
+        };
+      }
+      
+      const newQuestion = new Question(question);
+      const savedQuestion = await newQuestion.save();
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Successfully added DSA question: ${savedQuestion.name}\nID: ${savedQuestion._id}\nCreated at: ${savedQuestion.createdAt}`
+          }
+        ],
+        structuredContent: {
+          question: this.budgetedQuestion(savedQuestion),
+          duplicate: false
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to add question: ${error.message}`);
+    }
+  }
+
+  async getDsaQuestion(args) {
+    try {
+      const question = await this.findQuestion(args);
+      if (!question) {
+        throw new Error(`No question found with ${args.id ? `id ${args.id}` : `name "${args.name}"`}`);
+      }
+      const data = this.questionOutput(question);
+      const budget = this.helpers.budgetDocuments([data]);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${formatQuestion(data)}${this.helpers.formatBudgetNote(budget)}`
+          }
+        ],
+        structuredContent: {
+          question: budget.documents[0],
+          ...this.helpers.budgetOutput(budget)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get question: ${error.message}`);
+    }
+  }
+
+  async updateDsaQuestion(args) {
+    const { updates } = args;
+    
+    try {
+      const updatedFields = Object.keys(updates || {});
+      if (updatedFields.length === 0) {
+        throw new Error('"updates" must contain at least one field');
+      }
+      
+      const question = await this.findQuestion(args);
+      if (!question) {
+        throw new Error(`No question found with ${args.id ? `id ${args.id}` : `name "${args.name}"`}`);
+      }
+      
+      if (updates.name !== undefined) {
+        const existing = await this.findDuplicateQuestion(updates.name, question._id);
+        if (existing) {
+          throw new Error(`"${updates.name}" is a duplicate of the existing question "${existing.name}" (ID: ${existing._id})`);
+        }
+      }
+      
+      question.set(updates);
+      await question.save();
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Successfully updated DSA question: ${question.name}\nID: ${question._id}\nUpdated fields: ${updatedFields.join(', ')}`
+          }
+        ],
+        structuredContent: {
+          question: this.budgetedQuestion(question),
+          updatedFields
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to update question: ${error.message}`);
+    }
+  }
+
+  async deleteDsaQuestion(args) {
+    try {
+      const question = await this.findQuestion({ id: args.id });
+      if (!question) {
+        throw new Error(`No question found with id ${args.id}`);
+      }
+      await question.deleteOne();
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Successfully deleted DSA question: ${question.name}\nID: ${question._id}`
+          }
+        ],
+        structuredContent: {
+          question: this.budgetedQuestion(question)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to delete question: ${error.message}`);
+    }
+  }
+
+  async searchDsaQuestions(args) {
+    const { query, filter = {}, limit = 10, skip = 0 } = args;
+    
+    try {
+      const match = { $text: { $search: query } };
+      if (filter.level) {
+        match.level = filter.level;
+      }
+      if (filter.datastructure) {
+        match.datastructure = { $in: [filter.datastructure] };
+      }
+      if (filter.algorithm) {
+        match.algorithm = { $in: [filter.algorithm] };
+      }
+      
+      const questions = await Question.find(match, {
+        score: { $meta: 'textScore' },
+        name: 1,
+        level: 1,
+        datastructure: 1,
+        algorithm: 1,
+        createdAt: 1
+      })
+        .sort({ score: { $meta: 'textScore' } })
+        .skip(Math.max(skip, 0))
+        .limit(this.helpers.clampLimit(limit))
+        .maxTimeMS(this.helpers.getQueryGuardSettings().maxTimeMS)
+        .lean();
+      const redacted = this.helpers.redactDocuments(questions, Question.collection.collectionName);
+      const budget = this.helpers.budgetDocuments(redacted);
+      const shown = redacted.slice(0, budget.documents.length);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: questions.length === 0
+              ? `No DSA questions match "${query}"`
+              : `Found ${questions.length} DSA questions matching "${query}":\n\n${shown.map(q =>
+                `**${q.name}** (${q.level}) — score ${typeof q.score === 'number' ? q.score.toFixed(2) : q.score}\n` +
+                `ID: ${q._id}\n` +
+                `Data Structures: ${[].concat(q.datastructure ?? []).join(', ')}\n` +
+                `Algorithms: ${[].concat(q.algorithm ?? []).join(', ')}\n`
+              ).join('\n')}${this.helpers.formatBudgetNote(budget)}`
+          }
+        ],
+        structuredContent: {
+          questions: budget.documents,
+          count: budget.documents.length,
+          ...this.helpers.budgetOutput(budget)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to search questions: ${error.message}`);
+    }
+  }
+
+  async getDsaQuestions(args = {}) {
+    const { filter = {}, limit = 10, projection, skip, cursor, includeTotal } = args;
+    
+    try {
+      let query = {};
+      
+      if (filter.level) {
+        query.level = filter.level;
+      }
+      
+      if (filter.datastructure) {
+        query.datastructure = { $in: [filter.datastructure] };
+      }
+      
+      if (filter.algorithm) {
+        query.algorithm = { $in: [filter.algorithm] };
+      }
+      
+      const page = await this.host.findPage(Question, {
+        filter: query,
+        sort: { createdAt: -1 },
+        projection,
+        limit,
+        skip,
+        cursor,
+        includeTotal
+      });
+      const questions = page.documents;
+      
+      // With a projection some fields may be missing, and redaction rules may have
+      // turned any field into a string, so only print what came back as it came
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Found ${questions.length} DSA questions:\n\n${questions.map(q => 
+              `**${q.name ?? '(name not projected)'}**${q.level ? ` (${q.level})` : ''}\n` +
+              `ID: ${q._id}\n` +
+              (q.datastructure ? `Data Structures: ${[].concat(q.datastructure).join(', ')}\n` : '') +
+              (q.algorithm ? `Algorithms: ${[].concat(q.algorithm).join(', ')}\n` : '') +
+              (Array.isArray(q.testcases) ? `Test Cases: ${q.testcases.length}\n` : '') +
+              (q.createdAt ? `Created: ${q.createdAt instanceof Date ? q.createdAt.toLocaleDateString() : q.createdAt}\n` : '')
+            ).join('\n')}${this.helpers.formatBudgetNote(page.budget)}${this.helpers.formatPageFooter(page)}`
+          }
+        ],
+        structuredContent: {
+          questions: page.output,
+          ...this.helpers.pageOutput(page)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get questions: ${error.message}`);
+    }
+  }
+
+  async runSolution(args) {
+    const settings = getSandboxSettings(this.config);
+    const {
+      id,
+      code,
+      entry = 'solve',
+      inputFormat = 'string',
+      comparison = settings.comparison
+    } = args;
+    const timeoutMs = Math.min(Math.max(Number(args.timeoutMs) || settings.timeoutMs, 1), settings.timeoutMs);
+    
+    try {
+      if (!/^[A-Za-z_$][\w$]*$/.test(entry)) {
+        throw new Error(`"${entry}" is not a valid function name`);
+      }
+      if (!OUTPUT_COMPARISONS[comparison]) {
+        throw new Error(`Unknown comparison "${comparison}" (expected one of ${Object.keys(OUTPUT_COMPARISONS).join(', ')})`);
+      }
+      if (Buffer.byteLength(code) > settings.maxCodeBytes) {
+        throw new Error(`Solution code exceeds ${settings.maxCodeBytes} bytes`);
+      }
+      
+      const question = await this.findQuestion({ id });
+      if (!question) {
+        throw new Error(`No question found with id ${id}`);
+      }
+      if (question.testcases.length === 0) {
+        throw new Error(`Question "${question.name}" has no test cases`);
+      }
+      
+      // Cases run on the stored values; what is reported back is redacted
+      const visible = this.questionOutput(question);
+      const visibleCases = [].concat(visible.testcases ?? []);
+      
+      // One case at a time so each gets the CPU to itself
+      const results = [];
+      for (const [index, testcase] of question.testcases.entries()) {
+        const run = await runSandboxedCase(code, testcase.input, {
+          entry,
+          inputFormat,
+          timeoutMs,
+          memoryMb: settings.memoryMb
+        });
+        const actual = run.error ? null : run.actual;
+        let status = 'error';
+        if (run.timedOut || /Script execution timed out/.test(run.error || '')) {
+          status = 'timeout';
+        } else if (!run.error) {
+          status = OUTPUT_COMPARISONS[comparison](actual, testcase.output) ? 'passed' : 'failed';
+        }
+        
+        results.push({
+          case: index + 1,
+          status,
+          input: visibleCases[index]?.input ?? '[redacted]',
+          expected: visibleCases[index]?.output ?? '[redacted]',
+          actual,
+          durationMs: Math.round(run.durationMs * 100) / 100,
+          error: run.error || null,
+          logs: run.logs || []
+        });
+      }
+      
+      const passed = results.filter(result => result.status === 'passed').length;
+      // Test data, output and logs are cut like any other response; numbers and statuses are kept as they are
+      const budget = this.helpers.budgetDocuments(results.map(({ input, expected, actual, error, logs }) => ({ input, expected, actual, error, logs })));
+      const icons = { passed: '✅', failed: '❌', error: '💥', timeout: '⏱️' };
+      const table = [
+        '| # | Result | Expected | Actual | Time | Error |',
+        '|---|--------|----------|--------|------|-------|',
+        ...results.map(result =>
+          `| ${result.case} | ${icons[result.status]} ${result.status} | ${toTableCell(result.expected)} | ` +
+          `${toTableCell(result.actual)} | ${result.durationMs} ms | ${toTableCell(result.error)} |`
+        )
+      ].join('\n');
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `**${visible.name}**: ${passed}/${results.length} test cases passed (${comparison} comparison)\n\n${table}` +
+                  this.helpers.formatBudgetNote(budget)
+          }
+        ],
+        structuredContent: {
+          questionId: String(question._id),
+          name: String(visible.name ?? '[redacted]'),
+          comparison,
+          passed,
+          total: results.length,
+          results: budget.documents.map((limited, index) => ({ ...results[index], ...limited })),
+          ...this.helpers.budgetOutput(budget)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to run solution: ${error.message}`);
+    }
+  }
+
+  async recordAttempt(args) {
+    const { user, questionId, result, timeSpentSeconds, notes } = args;
+    
+    try {
+      const question = await this.findQuestion({ id: questionId });
+      if (!question) {
+        throw new Error(`No question found with id ${questionId}`);
+      }
+      
+      const attempt = await Attempt.create({ user, question: question._id, result, timeSpentSeconds, notes });
+      const now = attempt.createdAt;
+      
+      const previous = await Review.findOne({ user, question: question._id }).maxTimeMS(this.helpers.getQueryGuardSettings().maxTimeMS).lean();
+      const schedule = scheduleReview(previous || {}, result, now);
+      const review = await Review.findOneAndUpdate(
+        { user, question: question._id },
+        {
+          $set: { ...schedule, lastResult: result, lastAttemptAt: now, ...(result === 'solved' && { solved: true }) },
+          $inc: { attempts: 1, successes: result === 'solved' ? 1 : 0 }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true, lean: true }
+      );
+      
+      const questionName = this.questionOutput(question).name;
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Recorded ${result} attempt at **${questionName}** for ${user}\n` +
+                  `Attempts: ${review.attempts} (${review.successes} solved)\n` +
+                  `Next review: ${review.dueAt.toISOString()} (in ${review.intervalDays} day${review.intervalDays === 1 ? '' : 's'})`
+          }
+        ],
+        structuredContent: {
+          attempt: this.helpers.budgetDocuments([this.helpers.redactDocument(attempt.toObject(), Attempt.collection.collectionName)]).documents[0],
+          review: {
+            attempts: review.attempts,
+            successes: review.successes,
+            solved: review.solved,
+            intervalDays: review.intervalDays,
+            easeFactor: review.easeFactor,
+            dueAt: review.dueAt.toISOString()
+          }
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to record attempt: ${error.message}`);
+    }
+  }
+
+  async loadPractice(user, filter = {}) {
+    const query = {};
+    if (filter.level) {
+      query.level = filter.level;
+    }
+    if (filter.datastructure) {
+      query.datastructure = { $in: [filter.datastructure] };
+    }
+    if (filter.algorithm) {
+      query.algorithm = { $in: [filter.algorithm] };
+    }
+    
+    const { maxTimeMS } = this.helpers.getQueryGuardSettings();
+    const [questions, reviews] = await Promise.all([
+      Question.find(query, { name: 1, createdAt: 1, ...Object.fromEntries(QUESTION_DIMENSIONS.map(dimension => [dimension, 1])) })
+        .maxTimeMS(maxTimeMS)
+        .lean(),
+      Review.find({ user }).maxTimeMS(maxTimeMS).lean()
+    ]);
+    const reviewsByQuestion = new Map(reviews.map(review => [String(review.question), review]));
+    return { questions, reviewsByQuestion };
+  }
+
+  async getProgress(args) {
+    const { user } = args;
+    
+    try {
+      const { questions, reviewsByQuestion } = await this.loadPractice(user);
+      const dimensions = summarizeProgress(questions, reviewsByQuestion);
+      const now = Date.now();
+      const reviews = questions.map(question => reviewsByQuestion.get(String(question._id))).filter(Boolean);
+      const solved = reviews.filter(review => review.solved).length;
+      const dueForReview = reviews.filter(review => review.dueAt.getTime() <= now).length;
+      
+      const formatDimension = (entries) => entries.length === 0
+        ? '(none)'
+        : entries.map(entry => `${entry.value}: ${entry.solved}/${entry.total} solved`).join(', ');
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `**Progress for ${user}**\n\n` +
+                  `Solved: ${solved}/${questions.length} | Attempted: ${reviews.length} | Due for review: ${dueForReview}\n\n` +
+                  `**By Level:**\n${formatDimension(dimensions.level)}\n\n` +
+                  `**By Algorithm:**\n${formatDimension(dimensions.algorithm)}\n\n` +
+                  `**By Data Structure:**\n${formatDimension(dimensions.datastructure)}`
+          }
+        ],
+        structuredContent: {
+          user,
+          totalQuestions: questions.length,
+          attempted: reviews.length,
+          solved,
+          dueForReview,
+          ...dimensions
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get progress: ${error.message}`);
+    }
+  }
+
+  async getNextQuestion(args) {
+    const { user, filter = {} } = args;
+    
+    try {
+      const { questions, reviewsByQuestion } = await this.loadPractice(user, filter);
+      const { algorithm, datastructure } = summarizeProgress(questions, reviewsByQuestion);
+      const topicWeakness = new Map([...algorithm, ...datastructure].map(entry => [entry.value, entry.weakness]));
+      const levelOrder = { easy: 0, medium: 1, hard: 2 };
+      const now = Date.now();
+      
+      // A question is as weak as its weakest algorithm or data structure
+      const candidates = questions.map(question => {
+        const topics = [...question.algorithm, ...question.datastructure];
+        const weakness = Math.max(0, ...topics.map(topic => topicWeakness.get(topic) ?? 0.5));
+        return {
+          question,
+          review: reviewsByQuestion.get(String(question._id)),
+          weakness,
+          weakTopics: topics.filter(topic => (topicWeakness.get(topic) ?? 0.5) === weakness)
+        };
+      });
+      
+      // Overdue reviews first, the longer overdue and weaker the sooner; then new
+      // questions on weak topics, easiest and oldest first
+      const due = candidates
+        .filter(candidate => candidate.review && candidate.review.dueAt.getTime() <= now)
+        .map(candidate => ({ ...candidate, priority: candidate.weakness * (1 + (now - candidate.review.dueAt.getTime()) / DAY_MS) }))
+        .sort((a, b) => b.priority - a.priority);
+      const fresh = candidates
+        .filter(candidate => !candidate.review)
+        .sort((a, b) =>
+          b.weakness - a.weakness ||
+          levelOrder[a.question.level] - levelOrder[b.question.level] ||
+          a.question.createdAt - b.question.createdAt
+        );
+      const upcoming = candidates
+        .filter(candidate => candidate.review)
+        .sort((a, b) => a.review.dueAt - b.review.dueAt);
+      
+      let pick = null;
+      let reason = 'none';
+      if (due.length > 0) {
+        [pick, reason] = [due[0], 'review_due'];
+      } else if (fresh.length > 0) {
+        [pick, reason] = [fresh[0], 'new'];
+      } else if (upcoming.length > 0) {
+        [pick, reason] = [upcoming[0], 'upcoming_review'];
+      }
+      
+      if (!pick) {
+        return {
+          content: [{ type: 'text', text: `No DSA questions match the filters for ${user}` }],
+          structuredContent: { question: null, reason, dueAt: null, weakness: null, weakTopics: [] }
+        };
+      }
+      
+      const question = this.questionOutput(await this.findQuestion({ id: pick.question._id }));
+      const budget = this.helpers.budgetDocuments([question]);
+      const dueAt = pick.review ? pick.review.dueAt.toISOString() : null;
+      const why = {
+        review_due: `Due for review since ${dueAt}`,
+        new: 'Not attempted yet',
+        upcoming_review: `Nothing is due; next scheduled review is ${dueAt}`
+      }[reason];
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `**Next question for ${user}:** ${why}\n` +
+                  `Weakest topics: ${pick.weakTopics.join(', ') || '(none)'} (weakness ${pick.weakness.toFixed(2)})\n\n` +
+                  formatQuestion(question) +
+                  this.helpers.formatBudgetNote(budget)
+          }
+        ],
+        structuredContent: {
+          question: budget.documents[0],
+          reason,
+          dueAt,
+          weakness: pick.weakness,
+          weakTopics: pick.weakTopics,
+          ...this.helpers.budgetOutput(budget)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get next question: ${error.message}`);
+    }
+  }
+
+  async buildProblemSet(args) {
+    const {
+      levels,
+      requireTags = [],
+      excludeTags = [],
+      excludeIds = [],
+      seed = crypto.randomBytes(6).toString('hex'),
+      title = 'Problem Set',
+      worksheetPath,
+      answerKeyPath,
+      samplesPerQuestion = 2
+    } = args;
+    
+    try {
+      const quotas = Object.fromEntries(QUESTION_LEVELS.map(level => [level, Math.max(Math.floor(levels[level] || 0), 0)]));
+      if (QUESTION_LEVELS.every(level => quotas[level] === 0)) {
+        throw new Error('"levels" must ask for at least one question');
+      }
+      const invalidId = excludeIds.find(id => !mongoose.Types.ObjectId.isValid(id));
+      if (invalidId) {
+        throw new Error(`"${invalidId}" in excludeIds is not a valid question id`);
+      }
+      
+      const excluded = new Set(excludeTags.map(tag => tag.toLowerCase()));
+      // Sorted by _id so the shuffle only depends on the seed and the bank
+      const candidates = (await Question.find({
+        level: { $in: QUESTION_LEVELS.filter(level => quotas[level] > 0) },
+        _id: { $nin: excludeIds }
+      }).sort({ _id: 1 }).maxTimeMS(this.helpers.getQueryGuardSettings().maxTimeMS).lean())
+        .filter(question => !questionTags(question).some(tag => excluded.has(tag)));
+      
+      const { selected, warnings } = selectProblemSet(
+        candidates,
+        quotas,
+        [...new Set(requireTags.map(tag => tag.toLowerCase()))],
+        createSeededRandom(seed)
+      );
+      
+      // Selection uses the stored tags; the files and the response get redacted copies
+      const visible = this.helpers.redactDocuments(selected, Question.collection.collectionName);
+      
+      const budget = this.helpers.budgetDocuments(visible.map(q => ({
+        id: String(q._id),
+        name: String(q.name ?? '[redacted]'),
+        level: String(q.level ?? '[redacted]'),
+        algorithm: [].concat(q.algorithm ?? []),
+        datastructure: [].concat(q.datastructure ?? [])
+      })));
+      
+      let worksheetFile = null;
+      let answerKeyFile = null;
+      if (worksheetPath) {
+        worksheetFile = this.helpers.resolveDataPath(worksheetPath);
+        const extension = path.extname(worksheetFile);
+        answerKeyFile = this.helpers.resolveDataPath(answerKeyPath ||
+          `${worksheetPath.slice(0, worksheetPath.length - extension.length)}-answers${extension || '.md'}`);
+        await fs.promises.mkdir(path.dirname(worksheetFile), { recursive: true });
+        await fs.promises.mkdir(path.dirname(answerKeyFile), { recursive: true });
+        await fs.promises.writeFile(worksheetFile, formatWorksheet(title, visible, samplesPerQuestion), 'utf8');
+        await fs.promises.writeFile(answerKeyFile, formatAnswerKey(title, visible, seed), 'utf8');
+      }
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `**${title}** (seed \`${seed}\`): ${visible.length} questions\n\n` +
+                  visible.map((q, index) =>
+                    `${index + 1}. **${q.name}** (${q.level}) | ID: ${q._id} | ${[...[].concat(q.algorithm ?? []), ...[].concat(q.datastructure ?? [])].join(', ')}`
+                  ).join('\n') +
+                  warnings.map(warning => `\n⚠️ ${warning}`).join('') +
+                  (worksheetFile ? `\n\nWorksheet: \`${worksheetFile}\`\nAnswer key: \`${answerKeyFile}\`` : '') +
+                  this.helpers.formatBudgetNote(budget)
+          }
+        ],
+        structuredContent: {
+          seed,
+          questions: budget.documents,
+          warnings,
+          worksheetPath: worksheetFile,
+          answerKeyPath: answerKeyFile,
+          ...this.helpers.budgetOutput(budget)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to build problem set: ${error.message}`);
+    }
+  }
+}
+
+const toolDefinitions = (tools, { paginationProperties, pageOutputProperties, budgetOutputProperties }) => [
+  {
+    name: 'add_dsa_question',
+    description: 'Add a single DSA question document to the DsaQuestions collection',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        question: {
+          type: 'object',
+          properties: questionProperties,
+          required: ['name', 'description', 'datastructure', 'algorithm', 'constraints', 'testcases', 'level']
+        }
+      },
+      required: ['question']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        question: { type: 'object', description: 'The saved question, or the existing one for duplicates (Extended JSON)' },
+        duplicate: { type: 'boolean', description: 'True when a question with the same normalized name already existed and nothing was inserted' }
+      },
+      required: ['question', 'duplicate']
+    },
+    policy: { write: true, collections: () => [Question.collection.collectionName] },
+    handler: (args) => tools.addDsaQuestion(args)
+  },
+  {
+    name: 'get_dsa_questions',
+    description: 'Get DSA questions with optional filters',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        filter: {
+          type: 'object',
+          properties: {
+            level: { 
+              type: 'string', 
+              enum: ['easy', 'medium', 'hard'],
+              description: 'Filter by difficulty level'
+            },
+            datastructure: { 
+              type: 'string',
+              description: 'Filter by data structure (e.g., "array", "linked list")'
+            },
+            algorithm: { 
+              type: 'string',
+              description: 'Filter by algorithm (e.g., "hashing", "dp")'
+            }
+          },
+          description: 'Optional filters for querying questions'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of questions to return (default: 10, capped by the server configuration)',
+          default: 10
+        },
+        ...paginationProperties
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        questions: { type: 'array', items: { type: 'object' }, description: 'Matching questions (Extended JSON)' },
+        ...pageOutputProperties,
+        ...budgetOutputProperties
+      },
+      required: ['questions', 'count', 'nextCursor']
+    },
+    policy: { collections: () => [Question.collection.collectionName] },
+    handler: (args) => tools.getDsaQuestions(args)
+  },
+  {
+    name: 'get_dsa_question',
+    description: 'Get one DSA question with its full description, constraints and test cases, by id or exact name',
+    inputSchema: {
+      type: 'object',
+      properties: questionLookupProperties
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        question: { type: 'object', description: 'The question (Extended JSON)' },
+        ...budgetOutputProperties
+      },
+      required: ['question']
+    },
+    policy: { collections: () => [Question.collection.collectionName] },
+    handler: (args) => tools.getDsaQuestion(args)
+  },
+  {
+    name: 'update_dsa_question',
+    description: 'Update fields of a DSA question found by id or exact name',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...questionLookupProperties,
+        updates: {
+          type: 'object',
+          properties: questionProperties,
+          additionalProperties: false,
+          description: 'Fields to replace; arrays such as testcases are replaced as a whole'
+        }
+      },
+      required: ['updates']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        question: { type: 'object', description: 'The updated question (Extended JSON)' },
+        updatedFields: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['question', 'updatedFields']
+    },
+    policy: { write: true, collections: () => [Question.collection.collectionName] },
+    handler: (args) => tools.updateDsaQuestion(args)
+  },
+  {
+    name: 'delete_dsa_question',
+    description: 'Delete a DSA question by id',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Question ID (look it up with get_dsa_question or search_dsa_questions)' }
+      },
+      required: ['id']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        question: { type: 'object', description: 'The deleted question (Extended JSON)' }
+      },
+      required: ['question']
+    },
+    policy: { write: true, destructive: true, collections: () => [Question.collection.collectionName], confirmTarget: 'id' },
+    handler: (args) => tools.deleteDsaQuestion(args)
+  },
+  {
+    name: 'search_dsa_questions',
+    description: 'Full-text search over DSA question names and descriptions, best matches first',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Search words; use "quoted phrases" for exact phrases and -word to exclude a word'
+        },
+        filter: {
+          type: 'object',
+          properties: {
+            level: { type: 'string', enum: ['easy', 'medium', 'hard'] },
+            datastructure: { type: 'string' },
+            algorithm: { type: 'string' }
+          },
+          description: 'Optional filters, as in get_dsa_questions'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of questions to return (default: 10, capped by the server configuration)',
+          default: 10
+        },
+        skip: {
+          type: 'number',
+          description: 'Number of matches to skip'
+        }
+      },
+      required: ['query']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        questions: {
+          type: 'array',
+          items: { type: 'object' },
+          description: 'Matching questions without description, constraints and test cases, each with a relevance "score"'
+        },
+        count: { type: 'number' },
+        ...budgetOutputProperties
+      },
+      required: ['questions', 'count']
+    },
+    policy: { collections: () => [Question.collection.collectionName] },
+    handler: (args) => tools.searchDsaQuestions(args)
+  },
+  {
+    name: 'run_solution',
+    description: 'Run JavaScript solution code against the stored test cases of a DSA question in a sandbox and report pass/fail per case. ' +
+      'The code cannot read files or start processes, but outbound network access is not blocked',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Question ID' },
+        code: {
+          type: 'string',
+          description: 'JavaScript source defining the entry function (e.g. "function solve(input) { ... }") or assigning it to module.exports'
+        },
+        entry: {
+          type: 'string',
+          description: 'Name of the function to call (default: solve)',
+          default: 'solve'
+        },
+        inputFormat: {
+          type: 'string',
+          enum: ['string', 'json'],
+          description: 'Pass each test case input as the raw string or JSON.parse it first (default: string)',
+          default: 'string'
+        },
+        comparison: {
+          type: 'string',
+          enum: ['exact', 'whitespace', 'json'],
+          description: 'How output is compared with the expected output: exact string, whitespace-insensitive, or JSON deep equality (default from server configuration)'
+        },
+        timeoutMs: {
+          type: 'number',
+          description: 'Per-test-case time limit in milliseconds (capped by the server configuration)'
+        }
+      },
+      required: ['id', 'code']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        questionId: { type: 'string' },
+        name: { type: 'string' },
+        comparison: { type: 'string' },
+        passed: { type: 'number' },
+        total: { type: 'number' },
+        results: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              case: { type: 'number' },
+              status: { type: 'string', enum: ['passed', 'failed', 'error', 'timeout'] },
+              input: { type: 'string' },
+              expected: { type: 'string' },
+              actual: { type: ['string', 'null'] },
+              durationMs: { type: 'number' },
+              error: { type: ['string', 'null'] },
+              logs: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['case', 'status', 'expected', 'actual', 'durationMs', 'error']
+          }
+        },
+        ...budgetOutputProperties
+      },
+      required: ['questionId', 'name', 'comparison', 'passed', 'total', 'results']
+    },
+    policy: { optIn: true, collections: () => [Question.collection.collectionName] },
+    handler: (args) => tools.runSolution(args)
+  },
+  {
+    name: 'record_attempt',
+    description: 'Record a practice attempt at a DSA question and update its spaced-repetition review schedule',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        user: { type: 'string', description: 'Learner identifier' },
+        questionId: { type: 'string', description: 'Question ID' },
+        result: {
+          type: 'string',
+          enum: ['solved', 'partial', 'failed'],
+          description: 'Outcome of the attempt'
+        },
+        timeSpentSeconds: { type: 'number', description: 'Time spent on the attempt in seconds' },
+        notes: { type: 'string', description: 'Free-form notes about the attempt' }
+      },
+      required: ['user', 'questionId', 'result']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        attempt: { type: 'object', description: 'The stored attempt (Extended JSON)' },
+        review: {
+          type: 'object',
+          properties: {
+            attempts: { type: 'number' },
+            successes: { type: 'number' },
+            solved: { type: 'boolean' },
+            intervalDays: { type: 'number' },
+            easeFactor: { type: 'number' },
+            dueAt: { type: 'string' }
+          },
+          required: ['attempts', 'successes', 'solved', 'intervalDays', 'easeFactor', 'dueAt']
+        }
+      },
+      required: ['attempt', 'review']
+    },
+    policy: {
+      write: true,
+      collections: () => [Question.collection.collectionName, Attempt.collection.collectionName, Review.collection.collectionName]
+    },
+    handler: (args) => tools.recordAttempt(args)
+  },
+  {
+    name: 'get_progress',
+    description: 'Get a learner\'s solved and attempted question counts by level, algorithm and data structure',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        user: { type: 'string', description: 'Learner identifier' }
+      },
+      required: ['user']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        user: { type: 'string' },
+        totalQuestions: { type: 'number' },
+        attempted: { type: 'number' },
+        solved: { type: 'number' },
+        dueForReview: { type: 'number' },
+        ...Object.fromEntries(QUESTION_DIMENSIONS.map(dimension => [dimension, {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              value: { type: 'string' },
+              total: { type: 'number' },
+              attempted: { type: 'number' },
+              solved: { type: 'number' },
+              attempts: { type: 'number' },
+              successes: { type: 'number' },
+              weakness: { type: 'number', description: '0 (strong) to 1 (weak)' }
+            },
+            required: ['value', 'total', 'attempted', 'solved', 'weakness']
+          }
+        }]))
+      },
+      required: ['user', 'totalQuestions', 'attempted', 'solved', 'dueForReview', ...QUESTION_DIMENSIONS]
+    },
+    policy: { collections: () => [Question.collection.collectionName, Review.collection.collectionName] },
+    handler: (args) => tools.getProgress(args)
+  },
+  {
+    name: 'get_next_question',
+    description: 'Pick the next DSA question for a learner: reviews that are due first, then unattempted questions, favouring the learner\'s weakest topics',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        user: { type: 'string', description: 'Learner identifier' },
+        filter: {
+          type: 'object',
+          properties: {
+            level: { type: 'string', enum: ['easy', 'medium', 'hard'] },
+            datastructure: { type: 'string' },
+            algorithm: { type: 'string' }
+          },
+          description: 'Only consider questions matching these filters'
+        }
+      },
+      required: ['user']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        question: { type: ['object', 'null'], description: 'The recommended question (Extended JSON)' },
+        reason: { type: 'string', enum: ['review_due', 'new', 'upcoming_review', 'none'] },
+        dueAt: { type: ['string', 'null'] },
+        weakness: { type: ['number', 'null'] },
+        weakTopics: { type: 'array', items: { type: 'string' } },
+        ...budgetOutputProperties
+      },
+      required: ['question', 'reason', 'dueAt', 'weakness', 'weakTopics']
+    },
+    policy: { collections: () => [Question.collection.collectionName, Review.collection.collectionName] },
+    handler: (args) => tools.getNextQuestion(args)
+  },
+  {
+    name: 'build_problem_set',
+    description: 'Build a reproducible set of DSA questions from level quotas and tag requirements, optionally written as a Markdown worksheet plus answer key',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        levels: {
+          type: 'object',
+          properties: {
+            easy: { type: 'number' },
+            medium: { type: 'number' },
+            hard: { type: 'number' }
+          },
+          description: 'Number of questions per level, e.g. {"easy": 2, "medium": 2, "hard": 1}'
+        },
+        requireTags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Algorithms or data structures the set as a whole must cover (e.g. ["graph", "dynamic programming"])'
+        },
+        excludeTags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Skip questions tagged with any of these algorithms or data structures'
+        },
+        excludeIds: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'IDs of previously used questions to leave out'
+        },
+        seed: {
+          type: 'string',
+          description: 'Seed for the random selection; reuse it to get the same set again (a random seed is used and returned when omitted)'
+        },
+        title: {
+          type: 'string',
+          description: 'Worksheet title (default: Problem Set)'
+        },
+        worksheetPath: {
+          type: 'string',
+          description: 'Write a Markdown worksheet here, relative to the configured files directory'
+        },
+        answerKeyPath: {
+          type: 'string',
+          description: 'Where to write the answer key (default: worksheet path with an "-answers" suffix)'
+        },
+        samplesPerQuestion: {
+          type: 'number',
+          description: 'Test cases shown as examples on the worksheet (default: 2); the answer key lists all of them',
+          default: 2
+        }
+      },
+      required: ['levels']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        seed: { type: 'string' },
+        questions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              level: { type: 'string' },
+              algorithm: { type: 'array', items: { type: 'string' } },
+              datastructure: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['id', 'name', 'level', 'algorithm', 'datastructure']
+          }
+        },
+        warnings: { type: 'array', items: { type: 'string' } },
+        worksheetPath: { type: ['string', 'null'] },
+        answerKeyPath: { type: ['string', 'null'] },
+        ...budgetOutputProperties
+      },
+      required: ['seed', 'questions', 'warnings', 'worksheetPath', 'answerKeyPath']
+    },
+    // Only writing the worksheet files counts as a write
+    policy: { write: (args) => Boolean(args.worksheetPath), collections: () => [Question.collection.collectionName] },
+    handler: (args) => tools.buildProblemSet(args)
+  }
+];
+
+module.exports = {
+  name: 'dsa',
+  // Exposed for the unit tests in test/
+  internals: { runSandboxedCase },
+  register({ server, config, helpers }) {
+    const tools = new DsaTools(server, config, helpers);
+    // Generic tools use the typed models for these collections
+    server.registerModel(Question, { statsFields: QUESTION_DIMENSIONS });
+    server.registerModel(Attempt);
+    server.registerModel(Review);
+    
+    for (const tool of toolDefinitions(tools, helpers)) {
+      server.registerTool(tool);
+    }
+    
+    server.registerResource({
+      uriTemplate: 'dsa://question/{id}',
+      name: 'DSA question',
+      description: 'A DSA question with its description, constraints and testcases',
+      pattern: /^dsa:\/\/question\/([^/]+)$/,
+      collectionName: Question.collection.collectionName,
+      read: async (id) => {
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+          return null;
+        }
+        const question = await Question.findById(id).maxTimeMS(helpers.getQueryGuardSettings().maxTimeMS).lean();
+        return helpers.redactDocument(question, Question.collection.collectionName);
+      }
+    });
+  }
+};
@@ -2,14 +2,24 @@
 
 const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
 const {
   CallToolRequestSchema,
   ErrorCode,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
+  SetLevelRequestSchema,
+  isInitializeRequest,
 } = require('@modelcontextprotocol/sdk/types.js');
 const mongoose = require('mongoose');
+const { EJSON } = mongoose.mongo.BSON;
+const crypto = require('crypto');
+const { once } = require('events');
 const fs = require('fs');
+const http = require('http');
 const path = require('path');
 
 // Load configuration
@@ -47,628 +57,6025 @@ Example config.json:
 }`);
 }
 
-const config = loadConfig();
+// Dynamic Schema Creator for flexible collections
+//
+// Field definitions look like { type, required, default, ... }:
+//   String    enum, minLength, maxLength, match (regular expression)
+//   Number    enum, min, max
+//   Date      min, max
+//   ObjectId  ref (collection the id points to)
+//   Object    fields: nested definitions (omit for a free-form object)
+//   Array     itemType for scalar elements, or items: a definition for each element
+//   Mixed     anything
+// Every type also accepts unique, index and description. Definitions that do
+// not fit are rejected with a list of the problems instead of being skipped.
+const FIELD_TYPES = {
+  String: String,
+  Number: Number,
+  Boolean: Boolean,
+  Date: Date,
+  ObjectId: mongoose.Schema.Types.ObjectId,
+  Mixed: mongoose.Schema.Types.Mixed
+};
+
+const ITEM_TYPES = ['String', 'Number', 'Boolean', 'Date', 'ObjectId', 'Mixed'];
+
+const FIELD_OPTIONS = {
+  common: ['type', 'required', 'default', 'unique', 'index', 'description'],
+  String: ['enum', 'minLength', 'maxLength', 'match'],
+  Number: ['enum', 'min', 'max'],
+  Date: ['min', 'max'],
+  ObjectId: ['ref'],
+  Object: ['fields'],
+  Array: ['itemType', 'items'],
+  Boolean: [],
+  Mixed: []
+};
 
-// Question Schema (your original DSA questions)
-const questionSchema = new mongoose.Schema({
-  name: { type: String, required: true },
-  description: { type: String, required: true },
-  datastructure: [{ type: String, required: true }],
-  algorithm: [{ type: String, required: true }],
-  constraints: { type: String, required: true },
-  testcases: [
-    {
-      input: { type: String, required: true },
-      output: { type: String, required: true }
+const buildSchemaField = (fieldPath, fieldConfig, errors) => {
+  if (!fieldConfig || typeof fieldConfig !== 'object' || Array.isArray(fieldConfig)) {
+    errors.push(`${fieldPath}: definition must be an object like { "type": "String" }`);
+    return null;
+  }
+  
+  const { type } = fieldConfig;
+  // hasOwn: "constructor" or "toString" would otherwise resolve through the prototype
+  if (typeof type !== 'string' || !Object.hasOwn(FIELD_OPTIONS, type) || type === 'common') {
+    errors.push(`${fieldPath}: unsupported type ${JSON.stringify(type)} (expected one of ${Object.keys(FIELD_OPTIONS).filter(t => t !== 'common').join(', ')})`);
+    return null;
+  }
+  
+  const allowed = [...FIELD_OPTIONS.common, ...FIELD_OPTIONS[type]];
+  for (const option of Object.keys(fieldConfig)) {
+    if (!allowed.includes(option)) {
+      errors.push(`${fieldPath}: option "${option}" is not supported for type ${type}`);
+    }
+  }
+  
+  const field = {};
+  if (fieldConfig.required) field.required = true;
+  if (fieldConfig.default !== undefined) field.default = fieldConfig.default;
+  if (fieldConfig.unique) field.unique = true;
+  if (fieldConfig.index) field.index = true;
+  
+  if (fieldConfig.enum !== undefined) {
+    if (!Array.isArray(fieldConfig.enum) || fieldConfig.enum.length === 0) {
+      errors.push(`${fieldPath}: enum must be a non-empty array`);
+    } else {
+      field.enum = fieldConfig.enum;
+    }
+  }
+  for (const bound of ['min', 'max']) {
+    if (fieldConfig[bound] !== undefined) {
+      field[bound] = type === 'Date' ? new Date(fieldConfig[bound]) : fieldConfig[bound];
+    }
+  }
+  for (const bound of ['minLength', 'maxLength']) {
+    if (fieldConfig[bound] !== undefined) {
+      if (!Number.isInteger(fieldConfig[bound]) || fieldConfig[bound] < 0) {
+        errors.push(`${fieldPath}: ${bound} must be a non-negative integer`);
+      } else {
+        field[bound] = fieldConfig[bound];
+      }
+    }
+  }
+  if (fieldConfig.match !== undefined) {
+    try {
+      field.match = new RegExp(fieldConfig.match);
+    } catch (error) {
+      errors.push(`${fieldPath}: match is not a valid regular expression (${error.message})`);
+    }
+  }
+  if (fieldConfig.ref !== undefined) {
+    field.ref = fieldConfig.ref;
+  }
+  
+  if (type === 'Object') {
+    if (fieldConfig.fields === undefined) {
+      field.type = mongoose.Schema.Types.Mixed;
+    } else {
+      const nested = buildSchemaFields(fieldConfig.fields, `${fieldPath}.`, errors);
+      field.type = nested && new mongoose.Schema(nested, { _id: false });
+    }
+    return field;
+  }
+  
+  if (type === 'Array') {
+    if (fieldConfig.items !== undefined && fieldConfig.itemType !== undefined) {
+      errors.push(`${fieldPath}: use either itemType or items, not both`);
+    }
+    let element = { type: mongoose.Schema.Types.Mixed };
+    if (fieldConfig.items !== undefined) {
+      element = buildSchemaField(`${fieldPath}[]`, fieldConfig.items, errors);
+    } else if (fieldConfig.itemType !== undefined) {
+      if (!ITEM_TYPES.includes(fieldConfig.itemType)) {
+        errors.push(`${fieldPath}: unsupported itemType ${JSON.stringify(fieldConfig.itemType)} (expected one of ${ITEM_TYPES.join(', ')}, or use items for sub-documents)`);
+      } else {
+        element = { type: FIELD_TYPES[fieldConfig.itemType] };
+      }
     }
-  ],
-  level: {
-    type: String,
-    enum: ['easy', 'medium', 'hard'],
-    required: true
+    field.type = [element];
+    return field;
   }
-}, { timestamps: true });
+  
+  field.type = FIELD_TYPES[type];
+  return field;
+};
 
-const Question = mongoose.model('Question', questionSchema, 'DsaQuestions');
+const buildSchemaFields = (definition, prefix, errors) => {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    errors.push(`${prefix || 'schema'}: must be an object mapping field names to definitions`);
+    return null;
+  }
+  
+  const schemaFields = {};
+  for (const [fieldName, fieldConfig] of Object.entries(definition)) {
+    const fieldPath = `${prefix}${fieldName}`;
+    if (fieldName.startsWith('$') || fieldName.includes('.')) {
+      errors.push(`${fieldPath}: field names cannot start with "$" or contain "."`);
+      continue;
+    }
+    const field = buildSchemaField(fieldPath, fieldConfig, errors);
+    if (field) {
+      schemaFields[fieldName] = field;
+    }
+  }
+  return schemaFields;
+};
 
-// Dynamic Schema Creator for flexible collections
+// Collections create their indexes and the collection itself explicitly (see
+// createCollection), so capped/time-series options and validators are applied
+// before mongoose would create anything on its own
 const createDynamicSchema = (schemaDefinition) => {
-  const schemaFields = {};
+  const errors = [];
+  const schemaFields = buildSchemaFields(schemaDefinition, '', errors);
   
-  for (const [fieldName, fieldConfig] of Object.entries(schemaDefinition)) {
-    if (fieldConfig.type === 'String') {
-      schemaFields[fieldName] = { 
-        type: String, 
-        required: fieldConfig.required || false 
-      };
-    } else if (fieldConfig.type === 'Number') {
-      schemaFields[fieldName] = { 
-        type: Number, 
-        required: fieldConfig.required || false 
-      };
-    } else if (fieldConfig.type === 'Boolean') {
-      schemaFields[fieldName] = { 
-        type: Boolean, 
-        required: fieldConfig.required || false 
-      };
-    } else if (fieldConfig.type === 'Date') {
-      schemaFields[fieldName] = { 
-        type: Date, 
-        required: fieldConfig.required || false 
-      };
-    } else if (fieldConfig.type === 'Array') {
-      if (fieldConfig.itemType === 'String') {
-        schemaFields[fieldName] = [{ type: String }];
-      } else if (fieldConfig.itemType === 'Number') {
-        schemaFields[fieldName] = [{ type: Number }];
-      } else {
-        schemaFields[fieldName] = [{ type: mongoose.Schema.Types.Mixed }];
+  if (errors.length > 0) {
+    throw new Error(`Invalid schema definition:\n- ${errors.join('\n- ')}`);
+  }
+  
+  return new mongoose.Schema(schemaFields, { timestamps: true, autoCreate: false, autoIndex: false });
+};
+
+// Bulk writes with an empty filter touch the whole collection, so they have to
+// be requested explicitly
+const assertFilterAllowed = (filter, allowAll) => {
+  if (Object.keys(filter || {}).length === 0 && !allowAll) {
+    throw new Error('Refusing to run with an empty filter. Pass "allowAll": true to affect every document in the collection');
+  }
+};
+
+// Batches
+//
+// run_batch applies its operations in one transaction (replica sets and
+// sharded clusters only). Each step is one of these write operations.
+const BATCH_OPERATIONS = ['insertOne', 'insertMany', 'updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany'];
+
+const getBatchLimits = (config) => ({
+  maxOperations: config.batch?.maxOperations || 100
+});
+
+// Checks the shape of every step up front so a typo fails before anything runs
+const validateBatchOperation = (operation, index) => {
+  const step = `Step ${index + 1}`;
+  if (!BATCH_OPERATIONS.includes(operation.op)) {
+    throw new Error(`${step}: unknown op "${operation.op}" (expected one of ${BATCH_OPERATIONS.join(', ')})`);
+  }
+  if (!operation.collectionName) {
+    throw new Error(`${step}: "collectionName" is required`);
+  }
+  const needs = {
+    insertOne: ['document'],
+    insertMany: ['documents'],
+    updateOne: ['filter', 'update'],
+    updateMany: ['filter', 'update'],
+    replaceOne: ['filter', 'replacement'],
+    deleteOne: ['filter'],
+    deleteMany: ['filter']
+  }[operation.op];
+  for (const key of needs) {
+    if (operation[key] === undefined) {
+      throw new Error(`${step}: ${operation.op} requires "${key}"`);
+    }
+  }
+  if (operation.op === 'insertMany' && (!Array.isArray(operation.documents) || operation.documents.length === 0)) {
+    throw new Error(`${step}: "documents" must be a non-empty array`);
+  }
+  if (operation.op.endsWith('Many') && operation.op !== 'insertMany') {
+    try {
+      assertFilterAllowed(operation.filter, operation.allowAll);
+    } catch (error) {
+      throw new Error(`${step}: ${error.message}`);
+    }
+  }
+};
+
+// Aggregation limits from config.json, with conservative defaults
+const getAggregationLimits = (config) => ({
+  maxTimeMS: config.aggregation?.maxTimeMS || 30000,
+  maxResults: config.aggregation?.maxResults || 100,
+  allowWrites: config.aggregation?.allowWrites === true
+});
+
+// Returns the name of the first stage that writes to a collection, if any
+const findWriteStage = (pipeline) => {
+  for (const stage of pipeline) {
+    for (const operator of ['$out', '$merge']) {
+      if (stage && Object.prototype.hasOwnProperty.call(stage, operator)) {
+        return operator;
       }
-    } else if (fieldConfig.type === 'Object') {
-      schemaFields[fieldName] = { 
-        type: mongoose.Schema.Types.Mixed, 
-        required: fieldConfig.required || false 
-      };
     }
   }
-  
-  return new mongoose.Schema(schemaFields, { timestamps: true });
+  return null;
 };
 
-class MongoMCPServer {
-  constructor() {
-    this.server = new Server(
-      {
-        name: config.server?.name || 'mongodb-mcp-server',
-        version: config.server?.version || '1.0.0',
-      },
-      {
-        capabilities: {
-          tools: {},
-        },
+// Connection profiles
+//
+// "connections" in config.json maps profile names (dev, staging, analytics, ...)
+// to { uri, options, database }. The legacy "mongodb" section is still honoured
+// as the profile named "default". Generic tools take optional "connection" and
+// "database" arguments to pick where they run.
+const getConnectionProfiles = (config) => {
+  const profiles = { ...(config.connections || {}) };
+  if (config.mongodb?.uri && !profiles.default) {
+    profiles.default = config.mongodb;
+  }
+  return profiles;
+};
+
+const getDefaultConnectionName = (config) => {
+  const profiles = getConnectionProfiles(config);
+  if (config.defaultConnection) {
+    return config.defaultConnection;
+  }
+  return profiles.default ? 'default' : Object.keys(profiles)[0];
+};
+
+const connectionOptions = (profile) => ({
+  ...(profile.options || {}),
+  ...(profile.database && { dbName: profile.database })
+});
+
+const modelKey = (target, collectionName) => `${target.profileName}/${target.databaseName}/${collectionName}`;
+
+// Connection strings carry credentials, so only the host list is ever shown
+const describeUriHosts = (uri = '') => {
+  const match = /^mongodb(?:\+srv)?:\/\/(?:[^@/]*@)?([^/?]+)/.exec(uri);
+  return match ? match[1] : 'unknown';
+};
+
+const targetProperties = {
+  connection: {
+    type: 'string',
+    description: 'Connection profile to use (see list_connections; defaults to the configured default profile)'
+  },
+  database: {
+    type: 'string',
+    description: "Database to use (defaults to the profile's default database)"
+  }
+};
+
+// Extended JSON
+//
+// Results are returned as Extended JSON so ObjectId, Date, Decimal128 and
+// Binary values survive the trip to the client ("output.ejson" picks relaxed or
+// canonical mode). Filters and documents sent by the client may use Extended
+// JSON too, e.g. {"_id": {"$oid": "..."}} or {"$gte": {"$date": "2024-01-01T00:00:00Z"}}.
+const EJSON_ARGUMENTS = ['filter', 'document', 'documents', 'update', 'pipeline', 'arrayFilters', 'operations'];
+
+const toEJSON = (config, value) => EJSON.serialize(value, { relaxed: config.output?.ejson !== 'canonical' });
+
+const formatJson = (config, value) => JSON.stringify(toEJSON(config, value), null, 2);
+
+const deserializeArguments = (args = {}) => {
+  const parsed = { ...args };
+  for (const key of EJSON_ARGUMENTS) {
+    if (parsed[key] !== undefined) {
+      parsed[key] = EJSON.deserialize(parsed[key], { relaxed: true });
+    }
+  }
+  return parsed;
+};
+
+const pageOutputProperties = {
+  count: { type: 'number', description: 'Number of documents in this page' },
+  nextCursor: { type: ['string', 'null'], description: 'Cursor for the next page, null on the last page' },
+  total: { type: 'number', description: 'All matching documents (when includeTotal is set)' }
+};
+
+const previewOutputProperties = {
+  action: { type: 'string', description: 'Dry runs only: update or delete' },
+  affectedCount: { type: 'number', description: 'Dry runs only: documents the operation would touch' },
+  sample: { type: 'array', items: { type: 'object' }, description: 'Dry runs only: affected documents (Extended JSON)' }
+};
+
+const snapshotSummarySchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    kind: { type: 'string', enum: ['collection', 'documents'] },
+    reason: { type: 'string' },
+    connection: { type: 'string' },
+    database: { type: 'string' },
+    collectionName: { type: 'string' },
+    documentCount: { type: 'number' },
+    createdAt: { type: 'string' }
+  },
+  required: ['id', 'kind', 'reason', 'connection', 'database', 'collectionName', 'documentCount', 'createdAt']
+};
+
+const valueCountSchema = {
+  type: 'object',
+  properties: {
+    value: {},
+    count: { type: 'number' }
+  },
+  required: ['value', 'count']
+};
+
+const changeEventSchema = {
+  type: 'object',
+  properties: {
+    token: { type: 'string' },
+    operationType: { type: 'string' },
+    collectionName: { type: 'string' },
+    documentKey: { type: 'object' },
+    fullDocument: { type: ['object', 'null'] },
+    updateDescription: { type: 'object' },
+    clusterTime: {},
+    wallTime: {}
+  },
+  required: ['token', 'operationType']
+};
+
+// Pagination
+//
+// Reads are capped at "query.maxLimit" documents. Pages are chained with an
+// opaque cursor that encodes the sort and the sort-key values (plus _id) of the
+// last document returned, so the next page starts right after it.
+const paginationProperties = {
+  projection: {
+    type: 'object',
+    description: 'Fields to include or exclude (e.g., {"name": 1, "level": 1})',
+    additionalProperties: true
+  },
+  skip: {
+    type: 'number',
+    description: 'Number of matching documents to skip'
+  },
+  cursor: {
+    type: 'string',
+    description: 'nextCursor from a previous call, to fetch the following page with the same filter and sort'
+  },
+  includeTotal: {
+    type: 'boolean',
+    default: false,
+    description: 'Also count all documents matching the filter'
+  }
+};
+
+const getQueryLimits = (config) => ({
+  maxLimit: config.query?.maxLimit || 100
+});
+
+const clampLimit = (config, limit) => Math.min(Math.max(Math.floor(Number(limit)) || 1, 1), getQueryLimits(config).maxLimit);
+
+// Normalizes sort directions to 1/-1 and appends _id so every position is unique
+const normalizeSort = (sort = {}) => {
+  const normalized = {};
+  for (const [field, direction] of Object.entries(sort)) {
+    normalized[field] = [-1, '-1', 'desc', 'descending'].includes(direction) ? -1 : 1;
+  }
+  if (!('_id' in normalized)) {
+    normalized._id = 1;
+  }
+  return normalized;
+};
+
+const getPathValue = (document, fieldPath) =>
+  fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), document);
+
+const encodeCursor = (document, sort) => {
+  const values = Object.keys(sort).map(field => getPathValue(document, field) ?? null);
+  return Buffer.from(EJSON.stringify({ sort, values })).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = EJSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+  if (JSON.stringify(decoded?.sort) !== JSON.stringify(sort)) {
+    throw new Error('Cursor was created with a different sort; repeat the original query to paginate');
+  }
+  if (!Array.isArray(decoded.values) || decoded.values.length !== Object.keys(sort).length) {
+    throw new Error('Invalid cursor');
+  }
+  return decoded.values;
+};
+
+// BSON types in MongoDB's sort order. A missing field sorts as null, and $gt/$lt
+// only match values of the same group, so the groups on either side of a cursor
+// value are matched by $type instead.
+const SORT_TYPE_GROUPS = [
+  ['null'],
+  ['double', 'int', 'long', 'decimal'],
+  ['string', 'symbol'],
+  ['object'],
+  ['array'],
+  ['binData'],
+  ['objectId'],
+  ['bool'],
+  ['date'],
+  ['timestamp'],
+  ['regex']
+];
+
+const BSON_SORT_GROUPS = {
+  Int32: 1,
+  Long: 1,
+  Double: 1,
+  Decimal128: 1,
+  BSONSymbol: 2,
+  Binary: 5,
+  ObjectId: 6,
+  Timestamp: 9,
+  BSONRegExp: 10
+};
+
+const sortTypeGroup = (value) => {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'number') return 1;
+  if (typeof value === 'string') return 2;
+  if (typeof value === 'boolean') return 7;
+  if (value instanceof Date) return 8;
+  if (value instanceof RegExp) return 10;
+  if (value._bsontype) return BSON_SORT_GROUPS[value._bsontype] ?? 3;
+  return Array.isArray(value) ? 4 : 3;
+};
+
+// Conditions on one field that match values sorting strictly after "value"
+const cursorConditions = (value, direction) => {
+  const group = sortTypeGroup(value);
+  const conditions = [];
+  if (group > 0) {
+    conditions.push({ [direction === 1 ? '$gt' : '$lt']: value });
+  }
+  const types = (direction === 1 ? SORT_TYPE_GROUPS.slice(group + 1) : SORT_TYPE_GROUPS.slice(1, group)).flat();
+  if (types.length > 0) {
+    conditions.push({ $type: types });
+  }
+  // Descending pages end with the documents where the field is null or missing
+  if (direction === -1 && group > 0) {
+    conditions.push(null);
+  }
+  return conditions;
+};
+
+// Documents strictly after the cursor position in sort order:
+// (a > va) OR (a = va AND b > vb) OR ...; "a = null" also matches a missing a
+const buildCursorFilter = (sort, values) => {
+  const fields = Object.keys(sort);
+  return {
+    $or: fields.flatMap((field, index) => {
+      const prefix = {};
+      for (let i = 0; i < index; i++) {
+        prefix[fields[i]] = values[i];
       }
-    );
+      return cursorConditions(values[index], sort[field]).map(condition => ({ ...prefix, [field]: condition }));
+    })
+  };
+};
+
+// Sort fields must come back with each document for the cursor to be built
+const projectionWithSortFields = (projection, sort) => {
+  if (!projection || Object.keys(projection).length === 0) {
+    return undefined;
+  }
+  const adjusted = { ...projection };
+  const inclusive = Object.entries(projection).some(([field, value]) => field !== '_id' && value && value !== 0);
+  for (const field of Object.keys(sort)) {
+    if (inclusive) {
+      adjusted[field] = 1;
+    } else {
+      delete adjusted[field];
+    }
+  }
+  return adjusted;
+};
+
+const formatPageFooter = ({ total, nextCursor }) => {
+  const lines = [];
+  if (total !== undefined) {
+    lines.push(`**Total matching:** ${total}`);
+  }
+  if (nextCursor) {
+    lines.push(`**More results available.** Pass "cursor": "${nextCursor}" to get the next page`);
+  }
+  return lines.length > 0 ? `\n\n${lines.join('\n')}` : '';
+};
+
+// Query guard
+//
+// Filters, updates, projections, pipelines and pagination cursors sent by the
+// client are checked before they reach MongoDB: "query.deniedOperators" run
+// server-side JavaScript, and long regular expressions are rejected. Sort keys
+// and field name arguments must be plain field paths ("query.maxFields" at
+// most). Reads get a "query.maxTimeMS" limit, and documents sent back are
+// fitted into "query.maxResponseBytes": long strings and arrays are cut with a
+// marker, then trailing documents are left out until the output fits.
+const getQueryGuardSettings = (config) => ({
+  deniedOperators: config.query?.deniedOperators || ['$where', '$function', '$accumulator'],
+  maxRegexLength: config.query?.maxRegexLength || 256,
+  maxTimeMS: config.query?.maxTimeMS || 10000,
+  maxResponseBytes: config.query?.maxResponseBytes || 100000,
+  maxStringLength: config.query?.maxStringLength || 2000,
+  maxArrayItems: config.query?.maxArrayItems || 50,
+  maxFields: config.query?.maxFields || 32
+});
+
+// Arguments that can carry query operators or aggregation expressions
+const GUARDED_ARGUMENTS = ['filter', 'update', 'projection', 'pipeline', 'arrayFilters', 'operations'];
+
+const REGEX_EXPRESSIONS = ['$regexMatch', '$regexFind', '$regexFindAll'];
+
+const assertRegexAllowed = (pattern, settings, location) => {
+  if (typeof pattern === 'string' && pattern.length > settings.maxRegexLength) {
+    throw new Error(`${location}: regular expression is ${pattern.length} characters long (query.maxRegexLength is ${settings.maxRegexLength})`);
+  }
+};
+
+const assertQueryAllowed = (value, settings, location) => {
+  if (value instanceof RegExp || value?._bsontype === 'BSONRegExp') {
+    assertRegexAllowed(value.source ?? value.pattern, settings, location);
+    return;
+  }
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => assertQueryAllowed(item, settings, `${location}[${index}]`));
+    return;
+  }
+  if (!value || typeof value !== 'object' || value._bsontype || value instanceof Date) {
+    return;
+  }
+  for (const [key, child] of Object.entries(value)) {
+    if (settings.deniedOperators.includes(key)) {
+      throw new Error(`${location} uses ${key}, which is disabled by "query.deniedOperators"`);
+    }
+    if (key === '$regex') {
+      assertRegexAllowed(child, settings, `${location}.${key}`);
+    }
+    if (REGEX_EXPRESSIONS.includes(key)) {
+      assertRegexAllowed(child?.regex, settings, `${location}.${key}`);
+    }
+    assertQueryAllowed(child, settings, `${location}.${key}`);
+  }
+};
+
+// Arguments holding field names (get_collection_stats), used as "$<field>" in pipelines
+const FIELD_ARGUMENTS = ['fields', 'rangeFields', 'timeField'];
+
+const SORT_DIRECTIONS = [1, -1, '1', '-1', 'asc', 'desc', 'ascending', 'descending'];
+
+// A "$" at the start of a segment would turn a field name into an operator or variable
+const assertFieldPath = (fieldPath, settings, location) => {
+  const valid = typeof fieldPath === 'string' &&
+    fieldPath.length > 0 &&
+    fieldPath.length <= settings.maxStringLength &&
+    fieldPath.split('.').every(segment => segment !== '' && !segment.startsWith('$') && !segment.includes('\0'));
+  if (!valid) {
+    throw new Error(`${location}: ${JSON.stringify(String(fieldPath).slice(0, 100))} is not a field path`);
+  }
+};
+
+const assertFieldCount = (count, settings, location) => {
+  if (count > settings.maxFields) {
+    throw new Error(`${location} names ${count} fields (query.maxFields is ${settings.maxFields})`);
+  }
+};
+
+const assertSortAllowed = (sort, settings) => {
+  if (!sort || typeof sort !== 'object' || Array.isArray(sort)) {
+    throw new Error('sort must be an object of field paths and directions');
+  }
+  const entries = Object.entries(sort);
+  assertFieldCount(entries.length, settings, 'sort');
+  for (const [field, direction] of entries) {
+    assertFieldPath(field, settings, 'sort');
+    if (!SORT_DIRECTIONS.includes(direction) && direction?.$meta !== 'textScore') {
+      throw new Error(`sort.${field}: direction must be 1, -1, "asc" or "desc"`);
+    }
+  }
+};
+
+// Extended JSON types are already decoded, so any "$" key left is an operator
+const hasOperatorKeys = (value) => {
+  if (Array.isArray(value)) {
+    return value.some(hasOperatorKeys);
+  }
+  if (!value || typeof value !== 'object' || value._bsontype || value instanceof Date) {
+    return false;
+  }
+  return Object.entries(value).some(([key, child]) => key.startsWith('$') || hasOperatorKeys(child));
+};
+
+// Cursor values end up in the next page's filter, so a cursor the client made up
+// may only hold plain values. One that does not decode is rejected by decodeCursor.
+const assertCursorAllowed = (cursor, settings) => {
+  if (typeof cursor !== 'string' || cursor.length > settings.maxResponseBytes) {
+    throw new Error('cursor was not returned by this server');
+  }
+  let decoded;
+  try {
+    decoded = EJSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    return;
+  }
+  if (hasOperatorKeys(decoded?.values)) {
+    throw new Error('cursor values may not contain query operators');
+  }
+  assertQueryAllowed(decoded?.values, settings, 'cursor');
+};
+
+const guardQueryArguments = (config, args) => {
+  const settings = getQueryGuardSettings(config);
+  for (const key of GUARDED_ARGUMENTS) {
+    if (args[key] !== undefined) {
+      assertQueryAllowed(args[key], settings, key);
+    }
+  }
+  if (args.sort !== undefined) {
+    assertSortAllowed(args.sort, settings);
+  }
+  for (const key of FIELD_ARGUMENTS) {
+    if (args[key] !== undefined) {
+      const fieldPaths = [].concat(args[key]);
+      assertFieldCount(fieldPaths.length, settings, key);
+      fieldPaths.forEach((fieldPath, index) =>
+        assertFieldPath(fieldPath, settings, Array.isArray(args[key]) ? `${key}[${index}]` : key));
+    }
+  }
+  if (args.cursor !== undefined && args.cursor !== null) {
+    assertCursorAllowed(args.cursor, settings);
+  }
+};
+
+// Cuts long strings and arrays in an EJSON value, counting each cut
+const truncateValue = (value, settings, stats) => {
+  if (typeof value === 'string') {
+    if (value.length <= settings.maxStringLength) {
+      return value;
+    }
+    stats.shortened++;
+    return `${value.slice(0, settings.maxStringLength)}… [truncated: ${value.length - settings.maxStringLength} more characters]`;
+  }
+  if (Array.isArray(value)) {
+    const items = value.slice(0, settings.maxArrayItems).map(item => truncateValue(item, settings, stats));
+    if (value.length > settings.maxArrayItems) {
+      stats.shortened++;
+      items.push(`[truncated: ${value.length - settings.maxArrayItems} more items]`);
+    }
+    return items;
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, truncateValue(child, settings, stats)]));
+  }
+  return value;
+};
+
+const documentSize = (document) => Buffer.byteLength(JSON.stringify(document, null, 2)) + 4;
+
+// Cuts strings and arrays harder until the document fits in the given room. A
+// document made of many small fields can still be too large; only its _id is
+// returned then, so the page (and its cursor) keeps its place.
+const fitDocument = (document, settings, room) => {
+  let limits = settings;
+  for (;;) {
+    const stats = { shortened: 0 };
+    const limited = truncateValue(document, limits, stats);
+    if (documentSize(limited) <= room) {
+      return { limited, stats };
+    }
+    if (limits.maxStringLength <= 16 && limits.maxArrayItems <= 1) {
+      break;
+    }
+    limits = {
+      ...limits,
+      maxStringLength: Math.max(16, Math.floor(limits.maxStringLength / 2)),
+      maxArrayItems: Math.max(1, Math.floor(limits.maxArrayItems / 2))
+    };
+  }
+  const stub = {
+    _id: document._id,
+    truncated: `[document too large for the ${settings.maxResponseBytes}-byte response budget]`
+  };
+  return { limited: stub, stats: { shortened: 1 } };
+};
 
-    this.dynamicModels = new Map(); // Store dynamic models
-    this.setupToolHandlers();
-    this.setupErrorHandling();
+// Returns the documents as EJSON, shortened to fit the response budget. The
+// first document is cut down until it fits, so a page never comes back empty.
+const budgetDocuments = (config, documents) => {
+  const settings = getQueryGuardSettings(config);
+  const kept = [];
+  let shortened = 0;
+  let bytes = 2;
+  
+  for (const document of toEJSON(config, documents)) {
+    let stats = { shortened: 0 };
+    let limited = truncateValue(document, settings, stats);
+    let size = documentSize(limited);
+    if (bytes + size > settings.maxResponseBytes) {
+      if (kept.length > 0) {
+        break;
+      }
+      ({ limited, stats } = fitDocument(document, settings, settings.maxResponseBytes - bytes));
+      size = documentSize(limited);
+    }
+    kept.push(limited);
+    shortened += stats.shortened;
+    bytes += size;
+  }
+  
+  const omitted = documents.length - kept.length;
+  return {
+    documents: kept,
+    omitted,
+    shortened,
+    truncated: shortened > 0 || omitted > 0,
+    maxResponseBytes: settings.maxResponseBytes
+  };
+};
+
+const formatBudgetNote = (budget) => {
+  if (!budget.truncated) {
+    return '';
   }
+  const parts = [
+    budget.shortened > 0 ? `${budget.shortened} long value(s) shortened` : null,
+    budget.omitted > 0 ? `${budget.omitted} document(s) left out` : null
+  ].filter(Boolean);
+  return `\n\n**Output truncated** to fit the ${budget.maxResponseBytes}-byte response budget: ${parts.join(', ')}`;
+};
+
+const budgetOutputProperties = {
+  outputTruncated: {
+    type: 'boolean',
+    description: 'Long values were shortened or documents left out to fit the response budget'
+  },
+  omittedCount: { type: 'number' }
+};
+
+const budgetOutput = (budget) => ({
+  outputTruncated: budget.truncated,
+  omittedCount: budget.omitted
+});
+
+// Redaction
+//
+// "redaction.rules" hide fields in every document sent back to the client.
+// Stored data, snapshots and export_documents files are never touched. A rule
+// names a collection glob, a field path ("email", "contacts.phone", "tokens.*";
+// array positions are skipped) and a mode:
+//   drop         remove the field
+//   mask         keep the last 4 characters: "***1234" (values under 8 characters: "****")
+//   hash         stable keyed digest, so equal values still compare equal
+//   placeholder  the value's type: "[string]", "[date]", ...
+// The first matching rule wins. Strings in every other field are scanned by
+// "redaction.detectors" and matching secrets are replaced using "detectorMode".
+// Audit log arguments are redacted as well, and aggregation pipelines cannot
+// read the fields a rule names (see redactPipeline).
+const REDACTION_MODES = ['drop', 'mask', 'hash', 'placeholder'];
+
+const SECRET_DETECTORS = {
+  awsAccessKey: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  githubToken: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g,
+  slackToken: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g,
+  stripeKey: /\b[sr]k_(?:live|test)_[A-Za-z0-9]{16,}\b/g,
+  googleApiKey: /\bAIza[0-9A-Za-z_-]{35}\b/g,
+  jwt: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]+/g,
+  privateKey: /-----BEGIN (?:[A-Z]+ )?PRIVATE KEY-----[\s\S]*?(?:-----END (?:[A-Z]+ )?PRIVATE KEY-----|$)/g,
+  bearerToken: /\bBearer\s+[A-Za-z0-9._~+/-]{20,}=*/gi,
+  // Only the password in a connection string
+  uriPassword: /(?<=\b(?:mongodb(?:\+srv)?|postgres(?:ql)?|mysql|redis|amqps?):\/\/[^\s:@/]+:)[^\s@/]+(?=@)/g
+};
 
-  setupErrorHandling() {
-this.server.onerror = (error) => process.stderr.write(`[MCP Error] ${error}\n`);
-    process.on('SIGINT', async () => {
-      await mongoose.disconnect();
-      await this.server.close();
-      process.exit(0);
+const getRedactionSettings = (config) => ({
+  enabled: config.redaction?.enabled !== false,
+  rules: config.redaction?.rules || [],
+  detectors: config.redaction?.detectors || Object.keys(SECRET_DETECTORS),
+  detectorMode: config.redaction?.detectorMode || 'mask',
+  hashKey: config.redaction?.hashKey || ''
+});
+
+// "a.*.b" -> /^a\.[^.]+\.b$/; "**" spans any number of segments
+const fieldPatternToRegExp = (pattern) => new RegExp('^' + pattern
+  .split('.')
+  .map(segment => segment === '**' ? '.+' : segment.replace(/[+^${}()|[\]\\?]/g, '\\$&').replace(/\*/g, '[^.]+'))
+  .join('\\.') + '$');
+
+// Rules for one collection, validated so a typo in config.json fails loudly
+const compileRedaction = (config, collectionName) => {
+  const settings = getRedactionSettings(config);
+  if (!settings.enabled) {
+    return null;
+  }
+  const rules = settings.rules
+    .filter(rule => !rule.collection || !collectionName || globToRegExp(rule.collection).test(collectionName))
+    .map(rule => {
+      if (!rule.field || !REDACTION_MODES.includes(rule.mode)) {
+        throw new Error(`Invalid redaction rule ${JSON.stringify(rule)}: needs "field" and a "mode" of ${REDACTION_MODES.join(', ')}`);
+      }
+      return { pattern: fieldPatternToRegExp(rule.field), mode: rule.mode };
     });
+  const detectors = settings.detectors.map(name => {
+    if (!SECRET_DETECTORS[name]) {
+      throw new Error(`Unknown redaction detector "${name}" (available: ${Object.keys(SECRET_DETECTORS).join(', ')})`);
+    }
+    return SECRET_DETECTORS[name];
+  });
+  return { rules, detectors, settings };
+};
+
+const describeValueType = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return 'date';
+  if (value._bsontype) return value._bsontype.toLowerCase();
+  if (Buffer.isBuffer(value)) return 'binary';
+  return Array.isArray(value) ? 'array' : typeof value;
+};
+
+const applyRedactionMode = (value, mode, settings) => {
+  if (Array.isArray(value)) {
+    return value.map(item => applyRedactionMode(item, mode, settings));
+  }
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (mode === 'hash') {
+    const text = typeof value === 'string' ? value : EJSON.stringify(value, { relaxed: false });
+    return `hash:${crypto.createHmac('sha256', settings.hashKey).update(text).digest('hex').slice(0, 16)}`;
+  }
+  const scalar = typeof value !== 'object' || value instanceof Date || (value._bsontype && value._bsontype !== 'Binary');
+  if (mode === 'mask' && scalar) {
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    // Short values would be mostly revealed by their last 4 characters
+    return text.length < 8 ? '****' : `***${text.slice(-4)}`;
   }
+  return `[${describeValueType(value)}]`;
+};
 
-  setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
-      tools: [
-        // Original DSA Question Tools
-        {
-          name: 'add_dsa_question',
-          description: 'Add a single DSA question document to the DsaQuestions collection',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              question: {
-                type: 'object',
-                properties: {
-                  name: { type: 'string', description: 'Question title or name' },
-                  description: { type: 'string', description: 'Problem statement' },
-                  datastructure: { 
-                    type: 'array', 
-                    items: { type: 'string' },
-                    description: 'List of data structures used (e.g., ["array", "hash table"])'
-                  },
-                  algorithm: { 
-                    type: 'array', 
-                    items: { type: 'string' },
-                    description: 'List of algorithms used (e.g., ["hashing", "dynamic programming"])'
-                  },
-                  constraints: { type: 'string', description: 'Problem constraints as plain text' },
-                  testcases: {
-                    type: 'array',
-                    items: {
-                      type: 'object',
-                      properties: {
-                        input: { type: 'string', description: 'Input format example' },
-                        output: { type: 'string', description: 'Output format example' }
-                      },
-                      required: ['input', 'output']
-                    },
-                    description: 'Array of test cases'
-                  },
-                  level: { 
-                    type: 'string', 
-                    enum: ['easy', 'medium', 'hard'],
-                    description: 'Difficulty level of the question'
-                  }
-                },
-                required: ['name', 'description', 'datastructure', 'algorithm', 'constraints', 'testcases', 'level']
-              }
-            },
-            required: ['question']
-          }
+const redactSecrets = (text, redaction) => redaction.detectors.reduce(
+  (result, detector) => result.replace(detector, match => applyRedactionMode(match, redaction.settings.detectorMode, redaction.settings)),
+  text
+);
+
+const redactValue = (value, redaction, fieldPath) => {
+  if (typeof value === 'string') {
+    return redaction.detectors.length > 0 ? redactSecrets(value, redaction) : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, redaction, fieldPath));
+  }
+  if (!value || typeof value !== 'object' || value._bsontype || value instanceof Date || Buffer.isBuffer(value)) {
+    return value;
+  }
+  const result = {};
+  for (const [key, child] of Object.entries(value)) {
+    const childPath = fieldPath ? `${fieldPath}.${key}` : key;
+    const rule = redaction.rules.find(candidate => candidate.pattern.test(childPath));
+    if (!rule) {
+      result[key] = redactValue(child, redaction, childPath);
+    } else if (rule.mode !== 'drop') {
+      result[key] = applyRedactionMode(child, rule.mode, redaction.settings);
+    }
+  }
+  return result;
+};
+
+// Returns redacted copies; the documents passed in are left as they are
+const redactDocuments = (config, documents, collectionName) => {
+  const redaction = compileRedaction(config, collectionName);
+  return redaction ? documents.map(document => redactValue(document, redaction, '')) : documents;
+};
+
+const redactDocument = (config, document, collectionName) =>
+  document ? redactDocuments(config, [document], collectionName)[0] : document;
+
+// Pagination cursors carry the raw sort values of the last document, so they are
+// only built from values the client would also see unredacted
+const assertCursorVisible = (config, document, sort, collectionName) => {
+  for (const field of Object.keys(sort)) {
+    const value = getPathValue(document, field) ?? null;
+    if (EJSON.stringify(redactFieldValue(config, value, field, collectionName)) !== EJSON.stringify(value)) {
+      throw new Error(`Cannot page through results sorted on "${field}": its values are redacted. Sort on another field`);
+    }
+  }
+};
+
+// Rules only see output field paths, so aggregate() removes the fields they name
+// before the client's stages run (including $out/$merge output). A wildcard
+// removes everything from its parent path ("tokens.*" removes "tokens"); rules
+// starting with a wildcard cannot be enforced inside a pipeline.
+const redactedPipelinePaths = (config, collectionName) => {
+  const settings = getRedactionSettings(config);
+  if (!settings.enabled || !collectionName) {
+    return [];
+  }
+  const paths = settings.rules
+    .filter(rule => !rule.collection || globToRegExp(rule.collection).test(collectionName))
+    .map(rule => {
+      const segments = String(rule.field).split('.');
+      const wildcard = segments.findIndex(segment => segment.includes('*'));
+      const prefix = wildcard === -1 ? segments : segments.slice(0, wildcard);
+      if (prefix.length === 0) {
+        throw new Error(`Redaction rule for "${rule.field}" on ${collectionName} cannot be applied inside an aggregation pipeline`);
+      }
+      return prefix.join('.');
+    });
+  // $unset rejects overlapping paths: "a" already covers "a.b"
+  return [...new Set(paths)].filter(path => !paths.some(other => path.startsWith(`${other}.`)));
+};
+
+const redactPipelineStage = (config, stage) => {
+  if (!stage || typeof stage !== 'object') {
+    return stage;
+  }
+  const result = {};
+  for (const [operator, spec] of Object.entries(stage)) {
+    if (operator === '$lookup' && spec?.from) {
+      const pipeline = redactPipeline(config, spec.pipeline || [], spec.from);
+      result[operator] = spec.pipeline || pipeline.length > 0 ? { ...spec, pipeline } : spec;
+    } else if (operator === '$lookup' && Array.isArray(spec?.pipeline)) {
+      result[operator] = { ...spec, pipeline: spec.pipeline.map(item => redactPipelineStage(config, item)) };
+    } else if (operator === '$unionWith') {
+      const { coll, pipeline: unionPipeline = [] } = typeof spec === 'string' ? { coll: spec } : spec || {};
+      const pipeline = redactPipeline(config, unionPipeline, coll);
+      result[operator] = pipeline.length > 0 ? { ...(typeof spec === 'string' ? {} : spec), coll, pipeline } : spec;
+    } else if (operator === '$graphLookup' && redactedPipelinePaths(config, spec?.from).length > 0) {
+      throw new Error(`$graphLookup cannot read ${spec.from}: it has redacted fields`);
+    } else if (operator === '$facet' && spec && typeof spec === 'object') {
+      result[operator] = Object.fromEntries(Object.entries(spec).map(([name, stages]) =>
+        [name, Array.isArray(stages) ? stages.map(item => redactPipelineStage(config, item)) : stages]));
+    } else {
+      result[operator] = spec;
+    }
+  }
+  return result;
+};
+
+const redactPipeline = (config, pipeline, collectionName) => {
+  const paths = redactedPipelinePaths(config, collectionName);
+  const stages = pipeline.map(stage => redactPipelineStage(config, stage));
+  return paths.length > 0 ? [{ $unset: paths }, ...stages] : stages;
+};
+
+// Tool arguments kept in the audit log. Filters, documents, updates and pipelines
+// get the collection's rules, with operator keys ($set, $or, $match, ...) looked
+// through; every other string only goes through the detectors. run_batch steps
+// use the rules of their own collection.
+const DOCUMENT_ARGUMENTS = ['filter', 'document', 'documents', 'update', 'pipeline', 'arrayFilters'];
+
+const redactToolArguments = (config, args, collectionName) => {
+  const redaction = compileRedaction(config, collectionName);
+  if (!redaction || !args || typeof args !== 'object') {
+    return args;
+  }
+  const detectorsOnly = { ...redaction, rules: [] };
+  const redactOperand = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(redactOperand);
+    }
+    if (!value || typeof value !== 'object' || value._bsontype || value instanceof Date) {
+      return redactValue(value, detectorsOnly, '');
+    }
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+      if (key.startsWith('$')) {
+        result[key] = redactOperand(child);
+      } else {
+        Object.assign(result, redactValue({ [key]: child }, redaction, ''));
+      }
+    }
+    return result;
+  };
+  
+  return Object.fromEntries(Object.entries(args).map(([key, value]) => {
+    if (key === 'operations' && Array.isArray(value)) {
+      return [key, value.map(operation => redactToolArguments(config, operation, operation?.collectionName || collectionName))];
+    }
+    return [key, DOCUMENT_ARGUMENTS.includes(key) ? redactOperand(value) : redactValue(value, detectorsOnly, '')];
+  }));
+};
+
+// A single value reported for a field path, as get_collection_stats does
+const redactFieldValue = (config, value, fieldPath, collectionName) => {
+  const redaction = compileRedaction(config, collectionName);
+  if (!redaction) {
+    return value;
+  }
+  const rule = redaction.rules.find(candidate => candidate.pattern.test(fieldPath));
+  if (!rule) {
+    return redactValue(value, redaction, fieldPath);
+  }
+  return rule.mode === 'drop' ? '[redacted]' : applyRedactionMode(value, rule.mode, redaction.settings);
+};
+
+// Schema inference counts types on the stored values and only shows examples
+// through this: hidden fields (and fields below a hidden parent) give undefined
+const createExampleRedactor = (config, collectionName) => {
+  const redaction = compileRedaction(config, collectionName);
+  return (value, fieldPath) => {
+    if (!redaction) {
+      return value;
+    }
+    const segments = fieldPath.replace(/\[\]/g, '').split('.');
+    for (let length = 1; length <= segments.length; length++) {
+      const rule = redaction.rules.find(candidate => candidate.pattern.test(segments.slice(0, length).join('.')));
+      if (rule) {
+        return length === segments.length && rule.mode !== 'drop'
+          ? applyRedactionMode(value, rule.mode, redaction.settings)
+          : undefined;
+      }
+    }
+    return redactValue(value, redaction, segments.join('.'));
+  };
+};
+
+// Local files
+//
+// import_documents and export_documents only touch files below
+// "files.directory" (the working directory by default).
+const resolveDataPath = (config, filePath) => {
+  const baseDirectory = path.resolve(config.files?.directory || process.cwd());
+  const resolved = path.resolve(baseDirectory, filePath);
+  const relative = path.relative(baseDirectory, resolved);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new Error(`Path "${filePath}" is outside the configured files directory (${baseDirectory})`);
+  }
+  return resolved;
+};
+
+const getFileLimits = (config) => ({
+  maxExportDocuments: config.files?.maxExportDocuments || 10000
+});
+
+const detectFormat = (format, filePath) => {
+  if (format) {
+    return format;
+  }
+  const extension = path.extname(filePath || '').slice(1).toLowerCase();
+  return ['jsonl', 'json', 'ejson', 'csv'].includes(extension) ? extension : 'jsonl';
+};
+
+// RFC 4180 CSV: quoted fields may contain commas, quotes ("") and newlines
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  return rows.filter(cells => cells.some(cell => cell !== ''));
+};
+
+// CSV cells that hold JSON literals (numbers, booleans, arrays, objects) are parsed;
+// anything else stays a string. Dotted headers build nested documents.
+const csvRowToDocument = (headers, cells) => {
+  const document = {};
+  headers.forEach((header, index) => {
+    const cell = cells[index];
+    if (cell === undefined || cell === '') {
+      return;
+    }
+    let value = cell;
+    try {
+      value = EJSON.parse(cell, { relaxed: true });
+    } catch (error) {
+      // Not JSON, keep the raw string
+    }
+    const keys = header.split('.');
+    let target = document;
+    keys.slice(0, -1).forEach(key => {
+      target = target[key] = target[key] || {};
+    });
+    target[keys[keys.length - 1]] = value;
+  });
+  return document;
+};
+
+// Parses import input into rows of { row, document } or { row, error }
+const parseImportRows = (text, format) => {
+  if (format === 'csv') {
+    const [headers = [], ...records] = parseCsv(text);
+    return records.map((cells, index) => ({ row: index + 2, document: csvRowToDocument(headers, cells) }));
+  }
+  
+  if (format === 'jsonl') {
+    return text.split(/\r?\n/).map((line, index) => ({ line, row: index + 1 }))
+      .filter(({ line }) => line.trim() !== '')
+      .map(({ line, row }) => {
+        try {
+          return { row, document: EJSON.parse(line, { relaxed: true }) };
+        } catch (error) {
+          return { row, error: `Invalid JSON: ${error.message}` };
+        }
+      });
+  }
+  
+  const parsed = EJSON.parse(text, { relaxed: true });
+  const documents = Array.isArray(parsed) ? parsed : [parsed];
+  return documents.map((document, index) => ({ row: index + 1, document }));
+};
+
+const CSV_SPECIAL_CHARACTERS = /[",\r\n]/;
+
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (value?._bsontype) {
+    text = String(value);
+  } else if (typeof value === 'object') {
+    text = EJSON.stringify(value, { relaxed: true });
+  } else {
+    text = String(value);
+  }
+  return CSV_SPECIAL_CHARACTERS.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Nested objects become dotted columns; arrays are written as JSON
+const flattenForCsv = (document, prefix = '', flat = {}) => {
+  for (const [key, value] of Object.entries(document)) {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (bsonTypeName(value) === 'object') {
+      flattenForCsv(value, column, flat);
+    } else {
+      flat[column] = value;
+    }
+  }
+  return flat;
+};
+
+const formatExport = (documents, format) => {
+  if (format === 'csv') {
+    const rows = documents.map(document => flattenForCsv(document));
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    return [
+      columns.map(toCsvCell).join(','),
+      ...rows.map(row => columns.map(column => toCsvCell(row[column])).join(','))
+    ].join('\n') + '\n';
+  }
+  if (format === 'jsonl') {
+    return documents.map(document => EJSON.stringify(document, { relaxed: true })).join('\n') + '\n';
+  }
+  return EJSON.stringify(documents, null, 2, { relaxed: true }) + '\n';
+};
+
+const pageOutput = (page) => ({
+  count: page.documents.length,
+  nextCursor: page.nextCursor,
+  ...(page.total !== undefined && { total: page.total }),
+  ...budgetOutput(page.budget)
+});
+
+// Resources
+//
+// mongodb://<db>/<collection>       collection stats and inferred schema
+// mongodb://<db>/<collection>/<id>  a single document
+// Plugins add their own URI schemes with registerResource.
+const parseResourceUri = (uri) => {
+  const mongo = /^mongodb:\/\/([^/]+)\/([^/]+)(?:\/([^/]+))?$/.exec(uri);
+  if (mongo) {
+    return {
+      kind: mongo[3] ? 'document' : 'collection',
+      database: decodeURIComponent(mongo[1]),
+      collection: decodeURIComponent(mongo[2]),
+      id: mongo[3] && decodeURIComponent(mongo[3])
+    };
+  }
+  
+  return null;
+};
+
+// _id values in URIs are ObjectIds when they look like one, plain strings otherwise
+const toDocumentId = (id) => (
+  mongoose.Types.ObjectId.isValid(id) && String(id).length === 24 ? new mongoose.Types.ObjectId(id) : id
+);
+
+const bsonTypeName = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return 'date';
+  if (value?._bsontype) return value._bsontype.charAt(0).toLowerCase() + value._bsontype.slice(1);
+  if (typeof value === 'object') return 'object';
+  return typeof value;
+};
+
+const formatExample = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (value?._bsontype) return String(value);
+  if (typeof value === 'string' && value.length > 50) return `${value.slice(0, 50)}…`;
+  return value;
+};
+
+const roundRate = (count, total) => (total === 0 ? 0 : Math.round((count / total) * 1000) / 1000);
+
+// Field paths observed in a set of documents. Nested objects are reported as
+// "parent.child" and array elements as "field[]". Rates are relative to the
+// number of sampled documents, except nullRate which is relative to occurrences.
+const inferSchema = (documents, maxExamples = 3, redactExample = (value) => value) => {
+  const paths = new Map();
+  
+  const record = (fieldPath, value, documentIndex) => {
+    let entry = paths.get(fieldPath);
+    if (!entry) {
+      entry = { occurrences: 0, documents: 0, lastDocument: -1, types: {}, examples: [] };
+      paths.set(fieldPath, entry);
+    }
+    entry.occurrences += 1;
+    if (entry.lastDocument !== documentIndex) {
+      entry.documents += 1;
+      entry.lastDocument = documentIndex;
+    }
+    
+    const type = bsonTypeName(value);
+    entry.types[type] = (entry.types[type] || 0) + 1;
+    
+    if (!['object', 'array', 'null'].includes(type) && entry.examples.length < maxExamples) {
+      const visible = redactExample(value, fieldPath);
+      const example = visible === undefined ? undefined : formatExample(visible);
+      if (example !== undefined && !entry.examples.includes(example)) {
+        entry.examples.push(example);
+      }
+    }
+  };
+  
+  const walk = (value, fieldPath, documentIndex) => {
+    record(fieldPath, value, documentIndex);
+    const type = bsonTypeName(value);
+    if (type === 'object') {
+      for (const [key, child] of Object.entries(value)) {
+        walk(child, `${fieldPath}.${key}`, documentIndex);
+      }
+    } else if (type === 'array') {
+      for (const item of value) {
+        walk(item, `${fieldPath}[]`, documentIndex);
+      }
+    }
+  };
+  
+  documents.forEach((document, index) => {
+    for (const [key, value] of Object.entries(document)) {
+      walk(value, key, index);
+    }
+  });
+  
+  return [...paths.entries()].map(([fieldPath, entry]) => ({
+    path: fieldPath,
+    types: Object.fromEntries(
+      Object.entries(entry.types)
+        .sort((a, b) => b[1] - a[1])
+        .map(([type, count]) => [type, { count, rate: roundRate(count, entry.occurrences) }])
+    ),
+    occurrences: entry.occurrences,
+    nullRate: roundRate(entry.types.null || 0, entry.occurrences),
+    missingRate: roundRate(documents.length - entry.documents, documents.length),
+    examples: entry.examples
+  }));
+};
+
+const DEFINITION_TYPES = {
+  string: 'String',
+  number: 'Number',
+  int32: 'Number',
+  double: 'Number',
+  long: 'Number',
+  decimal128: 'Number',
+  boolean: 'Boolean',
+  date: 'Date',
+  objectId: 'ObjectId',
+  array: 'Array',
+  object: 'Object'
+};
+
+// Turns inferSchema output into the definition format accepted by create_collection.
+// Nested objects get "fields", arrays get "itemType" or, for sub-documents, "items".
+// Fields seen with more than one type (or types without an equivalent) become Mixed.
+const schemaToDefinition = (fields, sampledDocuments) => {
+  const byPath = new Map(fields.map(field => [field.path, field]));
+  const childrenOf = (parentPath) => fields.filter(field =>
+    field.path.startsWith(`${parentPath}.`) && !/[.[]/.test(field.path.slice(parentPath.length + 1))
+  );
+  
+  const describe = (field, parentCount) => {
+    const types = Object.keys(field.types).filter(type => type !== 'null');
+    const type = types.length === 1 ? DEFINITION_TYPES[types[0]] || 'Mixed' : 'Mixed';
+    const fieldDefinition = {
+      type,
+      required: type !== 'Mixed' && field.occurrences === parentCount && !field.types.null
+    };
+    
+    if (type === 'Object') {
+      const children = childrenOf(field.path);
+      if (children.length > 0) {
+        fieldDefinition.fields = Object.fromEntries(children.map(child => [
+          child.path.slice(field.path.length + 1),
+          describe(child, field.types.object.count)
+        ]));
+      }
+    } else if (type === 'Array') {
+      const elements = byPath.get(`${field.path}[]`);
+      const element = elements && describe(elements, elements.occurrences);
+      if (element?.type === 'Object' && element.fields) {
+        delete element.required;
+        fieldDefinition.items = element;
+      } else {
+        fieldDefinition.itemType = element && ITEM_TYPES.includes(element.type) ? element.type : 'Mixed';
+      }
+    }
+    
+    return fieldDefinition;
+  };
+  
+  const definition = {};
+  for (const field of fields) {
+    if (/[.[]/.test(field.path) || ['_id', '__v', 'createdAt', 'updatedAt'].includes(field.path)) {
+      continue;
+    }
+    definition[field.path] = describe(field, sampledDocuments);
+  }
+  return definition;
+};
+
+// Flattens an explain() winning plan into its stages, outermost first.
+// Handles both the classic plan shape and the SBE shape ({ queryPlan }).
+const collectPlanStages = (plan) => {
+  const stages = [];
+  const visit = (node) => {
+    if (!node) {
+      return;
+    }
+    if (node.queryPlan) {
+      visit(node.queryPlan);
+      return;
+    }
+    stages.push(node.indexName ? `${node.stage} (${node.indexName})` : node.stage);
+    visit(node.inputStage);
+    (node.inputStages || []).forEach(visit);
+  };
+  visit(plan);
+  return stages;
+};
+
+// Access policy
+//
+// Every tool declares whether it writes, whether it is destructive and which
+// collections it touches. The "security" section of config.json is checked
+// against these declarations before a tool runs. Tools with "optIn" (such as
+// run_solution) are off until "security.tools.enable" names them.
+// "readOnly" covers client data only: the server still records the audit log
+// and stores subscribe_collection resume tokens, and get_audit_log leaves out
+// calls on collections the policy hides.
+const collectionArg = (key) => (args) => [args[key]];
+
+// Collections referenced by $lookup, $unionWith, $out, ... anywhere in a pipeline
+const collectPipelineCollections = (pipeline) => {
+  const names = [];
+  const visit = (stages) => {
+    if (!Array.isArray(stages)) {
+      return;
+    }
+    for (const stage of stages) {
+      if (!stage || typeof stage !== 'object') {
+        continue;
+      }
+      for (const [operator, spec] of Object.entries(stage)) {
+        if (operator === '$lookup' || operator === '$graphLookup') {
+          if (spec?.from) names.push(spec.from);
+          visit(spec?.pipeline);
+        } else if (operator === '$unionWith') {
+          names.push(typeof spec === 'string' ? spec : spec?.coll);
+          visit(spec?.pipeline);
+        } else if (operator === '$out') {
+          names.push(typeof spec === 'string' ? spec : spec?.coll);
+        } else if (operator === '$merge') {
+          const into = typeof spec === 'string' ? spec : spec?.into;
+          names.push(typeof into === 'string' ? into : into?.coll);
+        } else if (operator === '$facet') {
+          Object.values(spec || {}).forEach(visit);
+        }
+      }
+    }
+  };
+  visit(pipeline);
+  return names.filter(Boolean);
+};
+
+// Built-in tools; plugin tools pass their policy to registerTool
+const TOOL_POLICIES = {
+  // Without collectionName the default is checked by getCollectionStats itself
+  get_collection_stats: { collections: collectionArg('collectionName') },
+  get_audit_log: {},
+  run_batch: {
+    write: true,
+    snapshots: true,
+    collections: (args) => (Array.isArray(args.operations) ? args.operations : []).map(operation => operation?.collectionName)
+  },
+  list_snapshots: { collections: collectionArg('collectionName') },
+  restore_snapshot: { write: true, collections: collectionArg('targetName') },
+  prune_snapshots: { write: true, destructive: true },
+  subscribe_collection: { collections: collectionArg('collectionName') },
+  unsubscribe_collection: {},
+  get_recent_changes: {},
+  list_connections: {},
+  get_all_collections: {},
+  create_collection: { write: true, collections: collectionArg('collectionName') },
+  get_collection_schema: { collections: collectionArg('collectionName') },
+  alter_collection_schema: { write: true, collections: collectionArg('collectionName') },
+  delete_collection: { write: true, destructive: true, snapshots: true, collections: collectionArg('collectionName'), confirmTarget: 'collectionName' },
+  get_documents: { collections: collectionArg('collectionName') },
+  add_document: { write: true, collections: collectionArg('collectionName') },
+  update_documents: { write: true, snapshots: true, collections: collectionArg('collectionName'), confirmTarget: 'collectionName' },
+  delete_documents: {
+    write: true,
+    destructive: (args) => args.dryRun !== true,
+    snapshots: true,
+    collections: collectionArg('collectionName'),
+    confirmTarget: 'collectionName'
+  },
+  infer_schema: { collections: collectionArg('collectionName') },
+  list_indexes: { collections: collectionArg('collectionName') },
+  create_index: { write: true, collections: collectionArg('collectionName') },
+  drop_index: { write: true, collections: collectionArg('collectionName') },
+  explain_query: { collections: collectionArg('collectionName') },
+  import_documents: { write: true, collections: collectionArg('collectionName') },
+  // Inline exports only read; writing a file is refused in read-only mode
+  export_documents: { write: (args) => Boolean(args.filePath), collections: collectionArg('collectionName') },
+  aggregate: {
+    write: (args) => Boolean(findWriteStage(args.pipeline || [])),
+    collections: (args) => [args.collectionName, ...collectPipelineCollections(args.pipeline)]
+  },
+  update_collection_name: {
+    write: true,
+    destructive: true,
+    snapshots: true,
+    collections: (args) => [args.oldName, args.newName],
+    confirmTarget: 'oldName'
+  }
+};
+
+// Tools that do not run against a connection profile
+const UNTARGETED_TOOLS = ['list_connections', 'get_audit_log', 'unsubscribe_collection', 'get_recent_changes'];
+
+const globToRegExp = (glob) => new RegExp(
+  '^' + glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$'
+);
+
+const matchesAny = (name, patterns = []) => patterns.some(pattern => globToRegExp(pattern).test(name));
+
+// An empty (or missing) allow list allows everything; deny always wins
+const isAllowedByLists = (name, { allow = [], deny = [] } = {}) => {
+  if (matchesAny(name, deny)) {
+    return false;
+  }
+  return allow.length === 0 || matchesAny(name, allow);
+};
+
+const isCollectionAllowed = (config, collectionName) =>
+  isAllowedByLists(collectionName, config.security?.collections);
+
+// "destructive" may depend on the arguments (delete_documents dry runs are not)
+const requiresConfirmation = (config, policy, args) =>
+  Boolean(typeof policy?.destructive === 'function' && args ? policy.destructive(args) : policy?.destructive) &&
+  config.security?.confirmDestructive === true;
+
+// Tools without a natural target to repeat (prune_snapshots) are confirmed with their own name
+const describeConfirmation = (name, policy) => (
+  policy.confirmTarget ? `the value of "${policy.confirmTarget}"` : `"${name}"`
+);
+
+const expectedConfirmation = (name, policy, args) => (
+  policy.confirmTarget ? args[policy.confirmTarget] : name
+);
+
+const isToolEnabled = (config, name, policy) =>
+  !policy?.optIn || matchesAny(name, config.security?.tools?.enable);
+
+// Whether a tool may be offered to clients at all
+const isToolVisible = (config, name, policy) => {
+  if (!isAllowedByLists(name, config.security?.tools) || !isToolEnabled(config, name, policy)) {
+    return false;
+  }
+  // Tools that only sometimes write (aggregate, export_documents) stay visible and are checked per call
+  return !(config.security?.readOnly && policy?.write === true);
+};
+
+// Tools that snapshot before writing accept "skipSnapshot", which always has to be confirmed
+const addSnapshotOptOut = (tool, policy) => (!policy?.snapshots ? tool : {
+  ...tool,
+  inputSchema: {
+    ...tool.inputSchema,
+    properties: {
+      ...tool.inputSchema.properties,
+      skipSnapshot: {
+        type: 'boolean',
+        description: `Run without taking a snapshot first (e.g. above snapshots.maxDocuments). Requires "confirm" set to ${describeConfirmation(tool.name, policy)}`,
+        default: false
+      },
+      confirm: {
+        type: 'string',
+        description: `Must be ${describeConfirmation(tool.name, policy)} to confirm this destructive operation or skipping its snapshot`
+      }
+    }
+  }
+});
+
+// Hide denied tools and add the "confirm" argument to destructive ones
+const applyToolPolicy = (config, tools, policyFor) => tools
+  .filter(tool => isToolVisible(config, tool.name, policyFor(tool.name)))
+  .map(tool => addSnapshotOptOut(tool, policyFor(tool.name)))
+  .map(tool => {
+    const policy = policyFor(tool.name);
+    if (!requiresConfirmation(config, policy)) {
+      return tool;
+    }
+    return {
+      ...tool,
+      description: `${tool.description}. Destructive: requires "confirm" set to ${describeConfirmation(tool.name, policy)}` +
+        (typeof policy.destructive === 'function' ? ' (not for dry runs)' : ''),
+      inputSchema: {
+        ...tool.inputSchema,
+        properties: {
+          ...tool.inputSchema.properties,
+          confirm: {
+            type: 'string',
+            description: `Must be ${describeConfirmation(tool.name, policy)} to confirm this destructive operation`
+          }
+        },
+        required: [...(tool.inputSchema.required || []), ...(policy.destructive === true ? ['confirm'] : [])]
+      }
+    };
+  });
+
+// Throws when the configured policy does not allow this call
+const enforceToolPolicy = (config, name, args, policy) => {
+  if (!policy) {
+    // Unknown tools are rejected by the dispatcher
+    return;
+  }
+  
+  const deny = (message) => {
+    throw new McpError(ErrorCode.InvalidRequest, `Tool "${name}" denied: ${message}`);
+  };
+  
+  if (!isAllowedByLists(name, config.security?.tools)) {
+    deny('tool is disabled by the server security policy');
+  }
+  if (!isToolEnabled(config, name, policy)) {
+    deny('tool is off by default; list it in "security.tools.enable" to use it');
+  }
+  
+  const writes = typeof policy.write === 'function' ? policy.write(args) : policy.write;
+  if (writes && config.security?.readOnly) {
+    deny('server is in read-only mode');
+  }
+  
+  const collections = policy.collections ? policy.collections(args) : [];
+  for (const collectionName of collections) {
+    if (collectionName && !isCollectionAllowed(config, collectionName)) {
+      deny(`access to collection "${collectionName}" is not allowed`);
+    }
+  }
+  
+  const expected = expectedConfirmation(name, policy, args);
+  if (requiresConfirmation(config, policy, args) && args.confirm !== expected) {
+    deny(`destructive operation must be confirmed with "confirm": "${expected}"`);
+  }
+  if (policy.snapshots && args.skipSnapshot === true && args.confirm !== expected) {
+    deny(`skipping the snapshot must be confirmed with "confirm": "${expected}"`);
+  }
+};
+
+// Transport selection
+//
+// stdio is the default. HTTP mode serves the Streamable HTTP transport so one
+// shared instance can sit next to the database; it is enabled with
+// "transport.type": "http" in config.json or the --http CLI flag.
+const getCliOption = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  if (index === -1) {
+    return undefined;
+  }
+  const value = process.argv[index + 1];
+  return value && !value.startsWith('--') ? value : true;
+};
+
+const getTransportConfig = (config) => {
+  const httpConfig = config.transport?.http || {};
+  const authTokens = [...(httpConfig.authTokens || [])];
+  if (process.env.MCP_AUTH_TOKEN) {
+    authTokens.push(process.env.MCP_AUTH_TOKEN);
+  }
+  
+  const cliTransport = getCliOption('transport');
+  const type = getCliOption('http') ? 'http' : (typeof cliTransport === 'string' ? cliTransport : config.transport?.type || 'stdio');
+  
+  return {
+    type,
+    host: getCliOption('host') || httpConfig.host || '127.0.0.1',
+    port: Number(getCliOption('port') || httpConfig.port || 3000),
+    path: httpConfig.path || '/mcp',
+    authTokens,
+    allowUnauthenticated: httpConfig.allowUnauthenticated === true,
+    allowedOrigins: httpConfig.allowedOrigins || [],
+    maxBodyBytes: httpConfig.maxBodyBytes || 4 * 1024 * 1024,
+    // Sessions idle this long are closed; new ones are refused past maxSessions
+    sessionIdleMs: httpConfig.sessionIdleMs || 30 * 60 * 1000,
+    maxSessions: httpConfig.maxSessions || 100
+  };
+};
+
+// Constant-time bearer token check
+const isAuthorized = (req, authTokens) => {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) {
+    return false;
+  }
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  const presented = digest(match[1].trim());
+  return authTokens.some(token => crypto.timingSafeEqual(presented, digest(token)));
+};
+
+const readJsonBody = (req, maxBytes) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > maxBytes) {
+      reject(new Error(`Request body exceeds ${maxBytes} bytes`));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      resolve(raw ? JSON.parse(raw) : undefined);
+    } catch (error) {
+      reject(new Error(`Invalid JSON body: ${error.message}`));
+    }
+  });
+  req.on('error', reject);
+});
+
+const sendJsonRpcError = (res, status, message, code = -32000) => {
+  if (res.headersSent) {
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+};
+
+// Schema persistence
+//
+// Definitions passed to create_collection / alter_collection_schema are stored
+// in a metadata collection ("schemas.metadataCollection") of the same database
+// so the typed models survive restarts, and are enforced server-side with a
+// $jsonSchema validator.
+const getSchemaSettings = (config) => ({
+  metadataCollection: config.schemas?.metadataCollection || '_mcp_schemas',
+  validationLevel: config.schemas?.validationLevel || 'strict',
+  validationAction: config.schemas?.validationAction || 'error'
+});
+
+const fieldDefinitionSchema = {
+  type: 'object',
+  properties: {
+    type: { 
+      type: 'string', 
+      enum: ['String', 'Number', 'Boolean', 'Date', 'ObjectId', 'Array', 'Object', 'Mixed'],
+      description: 'Field data type'
+    },
+    required: { 
+      type: 'boolean', 
+      default: false,
+      description: 'Whether field is required'
+    },
+    default: {
+      description: 'Default value for new documents'
+    },
+    enum: {
+      type: 'array',
+      description: 'Allowed values (String and Number)'
+    },
+    min: {
+      type: ['number', 'string'],
+      description: 'Minimum value (Number, or an ISO date for Date)'
+    },
+    max: {
+      type: ['number', 'string'],
+      description: 'Maximum value (Number, or an ISO date for Date)'
+    },
+    minLength: { type: 'number', description: 'Minimum string length' },
+    maxLength: { type: 'number', description: 'Maximum string length' },
+    match: { type: 'string', description: 'Regular expression strings must match' },
+    unique: { type: 'boolean', description: 'Create a unique index on this field' },
+    index: { type: 'boolean', description: 'Create an index on this field' },
+    ref: { type: 'string', description: 'Collection an ObjectId field refers to' },
+    fields: {
+      type: 'object',
+      description: 'Nested field definitions for an Object field (same format as the top level)',
+      additionalProperties: { type: 'object' }
+    },
+    itemType: { 
+      type: 'string', 
+      enum: ITEM_TYPES,
+      description: 'Type of items in array (only for Array type)'
+    },
+    items: {
+      type: 'object',
+      description: 'Definition of each element for arrays of sub-documents, e.g. {"type": "Object", "fields": {...}}'
+    },
+    description: { type: 'string', description: 'Free-form note about the field' }
+  },
+  required: ['type']
+};
+
+const schemaDefinitionSchema = {
+  type: 'object',
+  additionalProperties: fieldDefinitionSchema
+};
+
+const collectionOptionsSchema = {
+  type: 'object',
+  description: 'Options used when the collection is created',
+  properties: {
+    capped: {
+      type: 'object',
+      description: 'Make a capped collection of fixed size',
+      properties: {
+        size: { type: 'number', description: 'Maximum size in bytes' },
+        max: { type: 'number', description: 'Maximum number of documents' }
+      },
+      required: ['size']
+    },
+    timeseries: {
+      type: 'object',
+      description: 'Make a time-series collection',
+      properties: {
+        timeField: { type: 'string', description: 'Date field holding the measurement time' },
+        metaField: { type: 'string', description: 'Field identifying the series' },
+        granularity: { type: 'string', enum: ['seconds', 'minutes', 'hours'] }
+      },
+      required: ['timeField']
+    },
+    expireAfterSeconds: {
+      type: 'number',
+      description: 'Time-series only: delete measurements after this many seconds'
+    },
+    collation: {
+      type: 'object',
+      description: 'Default collation, e.g. {"locale": "en", "strength": 2} for case-insensitive matching',
+      additionalProperties: true
+    }
+  }
+};
+
+// Translates the create_collection "options" argument into createCollection options
+const toCreateCollectionOptions = (options = {}) => {
+  const createOptions = {};
+  if (options.capped) {
+    if (options.timeseries) {
+      throw new Error('A collection cannot be both capped and time-series');
+    }
+    createOptions.capped = true;
+    createOptions.size = options.capped.size;
+    if (options.capped.max !== undefined) {
+      createOptions.max = options.capped.max;
+    }
+  }
+  if (options.timeseries) {
+    createOptions.timeseries = options.timeseries;
+    if (options.expireAfterSeconds !== undefined) {
+      createOptions.expireAfterSeconds = options.expireAfterSeconds;
+    }
+  }
+  if (options.collation) {
+    createOptions.collation = options.collation;
+  }
+  return createOptions;
+};
+
+const validationProperties = {
+  validationLevel: {
+    type: 'string',
+    enum: ['strict', 'moderate'],
+    description: 'strict validates every insert and update; moderate skips updates to documents that were already invalid'
+  },
+  validationAction: {
+    type: 'string',
+    enum: ['error', 'warn'],
+    description: 'Reject invalid writes (error) or only log them (warn)'
+  }
+};
+
+const NUMBER_BSON_TYPES = ['int', 'long', 'double', 'decimal'];
+
+const JSON_SCHEMA_TYPES = {
+  String: 'string',
+  Number: NUMBER_BSON_TYPES,
+  Boolean: 'bool',
+  Date: 'date',
+  ObjectId: 'objectId',
+  Array: 'array',
+  Object: 'object'
+};
+
+// Optional fields may also hold null, which mongoose writes for cleared values
+const allowNull = (bsonType) => [].concat(bsonType, 'null');
+
+// $jsonSchema equivalent of one field definition. Date bounds have no
+// $jsonSchema form and are only enforced by mongoose.
+const fieldToJsonSchema = (fieldConfig) => {
+  const property = {};
+  const bsonType = JSON_SCHEMA_TYPES[fieldConfig.type];
+  
+  if (fieldConfig.type === 'Object' && fieldConfig.fields) {
+    Object.assign(property, definitionToJsonSchema(fieldConfig.fields, false));
+  } else if (fieldConfig.type === 'Array') {
+    if (fieldConfig.items) {
+      property.items = fieldToJsonSchema({ ...fieldConfig.items, required: true });
+    } else if (JSON_SCHEMA_TYPES[fieldConfig.itemType]) {
+      property.items = { bsonType: JSON_SCHEMA_TYPES[fieldConfig.itemType] };
+    }
+  }
+  
+  if (bsonType) {
+    property.bsonType = fieldConfig.required ? bsonType : allowNull(bsonType);
+  }
+  if (fieldConfig.enum) {
+    property.enum = fieldConfig.required ? fieldConfig.enum : [...fieldConfig.enum, null];
+  }
+  if (fieldConfig.type === 'Number') {
+    if (fieldConfig.min !== undefined) property.minimum = fieldConfig.min;
+    if (fieldConfig.max !== undefined) property.maximum = fieldConfig.max;
+  }
+  if (fieldConfig.minLength !== undefined) property.minLength = fieldConfig.minLength;
+  if (fieldConfig.maxLength !== undefined) property.maxLength = fieldConfig.maxLength;
+  if (fieldConfig.match !== undefined) property.pattern = fieldConfig.match;
+  if (fieldConfig.description) property.description = fieldConfig.description;
+  
+  return property;
+};
+
+// $jsonSchema equivalent of a create_collection definition
+const definitionToJsonSchema = (definition, topLevel = true) => {
+  const properties = {};
+  const required = [];
+  
+  for (const [fieldName, fieldConfig] of Object.entries(definition)) {
+    properties[fieldName] = fieldToJsonSchema(fieldConfig);
+    if (fieldConfig.required) {
+      required.push(fieldName);
+    }
+  }
+  
+  return {
+    bsonType: 'object',
+    ...(required.length > 0 && { required }),
+    properties: topLevel
+      ? { _id: {}, createdAt: { bsonType: 'date' }, updatedAt: { bsonType: 'date' }, ...properties }
+      : properties
+  };
+};
+
+// Snapshots
+//
+// delete_collection, update_collection_name and multi-document update/delete
+// first copy what they are about to change. A snapshot holds the documents plus
+// the collection options (validator included), indexes and stored schema. It
+// is written to "snapshots.database" on the same connection, or to
+// "snapshots.directory" as EJSON lines or a BSON dump, and pruned according to
+// "snapshots.retention" after each new snapshot. Writes above
+// "snapshots.maxDocuments" are refused unless the call passes "skipSnapshot",
+// confirmed like a destructive operation.
+const getSnapshotSettings = (config) => ({
+  enabled: config.snapshots?.enabled !== false,
+  destination: config.snapshots?.destination || 'database',
+  database: config.snapshots?.database || 'mcp_snapshots',
+  directory: path.resolve(config.snapshots?.directory || 'snapshots'),
+  format: config.snapshots?.format || 'ejson',
+  maxDocuments: config.snapshots?.maxDocuments || 100000,
+  maxPerCollection: config.snapshots?.retention?.maxPerCollection ?? 10,
+  maxAgeDays: config.snapshots?.retention?.maxAgeDays ?? 30
+});
+
+const SNAPSHOT_BATCH_SIZE = 1000;
+
+const createSnapshotId = () =>
+  `snap_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`;
+
+// Snapshot ids become collection and directory names, so only accept our own format
+const assertSnapshotId = (snapshotId) => {
+  if (!/^snap_[a-z0-9]+_[a-f0-9]{6}$/.test(snapshotId)) {
+    throw new Error(`"${snapshotId}" is not a snapshot id`);
+  }
+};
+
+// Concatenated BSON documents, as written by mongodump
+async function* readBsonDocuments(filePath) {
+  let buffer = Buffer.alloc(0);
+  for await (const chunk of fs.createReadStream(filePath)) {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 4 && buffer.length >= buffer.readInt32LE(0)) {
+      const size = buffer.readInt32LE(0);
+      yield mongoose.mongo.BSON.deserialize(buffer.subarray(0, size));
+      buffer = buffer.subarray(size);
+    }
+  }
+  if (buffer.length > 0) {
+    throw new Error(`Truncated BSON dump ${filePath}`);
+  }
+}
+
+async function* readEjsonLines(filePath) {
+  const text = await fs.promises.readFile(filePath, 'utf8');
+  for (const line of text.split('\n')) {
+    if (line.trim()) {
+      yield EJSON.parse(line, { relaxed: false });
+    }
+  }
+}
+
+const summarizeSnapshot = (manifest) => ({
+  id: manifest.id,
+  kind: manifest.kind,
+  reason: manifest.reason,
+  connection: manifest.connection,
+  database: manifest.database,
+  collectionName: manifest.collectionName,
+  documentCount: manifest.documentCount,
+  createdAt: manifest.createdAt.toISOString()
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Snapshots past the per-collection count or age limit (0 disables a limit)
+const selectSnapshotsToPrune = (manifests, { keepPerCollection, olderThanDays }) => {
+  const cutoff = olderThanDays > 0 ? Date.now() - olderThanDays * DAY_MS : null;
+  const seen = new Map();
+  return [...manifests]
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .filter(manifest => {
+      const key = `${manifest.connection}/${manifest.database}/${manifest.collectionName}`;
+      const position = seen.get(key) || 0;
+      seen.set(key, position + 1);
+      return (keepPerCollection > 0 && position >= keepPerCollection) ||
+        (cutoff !== null && manifest.createdAt.getTime() < cutoff);
+    });
+};
+
+const formatSnapshotNote = (snapshot) => snapshot
+  ? `\n\n**Snapshot:** ${snapshot.id} (${snapshot.documentCount} documents; undo with restore_snapshot)`
+  : '';
+
+// Audit log
+//
+// Every tools/call is recorded with its (redacted) arguments, target, duration,
+// outcome and the counts the tool reported. "audit.destination" is either a
+// capped collection in the default database or a JSONL file that is rotated
+// once it reaches "audit.maxFileBytes".
+const getAuditSettings = (config) => ({
+  enabled: config.audit?.enabled !== false,
+  destination: config.audit?.destination || 'collection',
+  collection: config.audit?.collection || '_mcp_audit',
+  cappedSizeBytes: config.audit?.cappedSizeBytes || 50 * 1024 * 1024,
+  file: path.resolve(config.audit?.file || 'audit.jsonl'),
+  maxFileBytes: config.audit?.maxFileBytes || 10 * 1024 * 1024,
+  maxFiles: config.audit?.maxFiles || 5,
+  redactKeys: config.audit?.redactKeys || ['password', 'secret', 'token', 'apikey', 'authorization', 'uri'],
+  maxStringLength: config.audit?.maxStringLength || 500,
+  maxArrayItems: config.audit?.maxArrayItems || 20
+});
+
+// Counts reported in structuredContent that are worth keeping in the log
+const AUDIT_COUNT_KEYS = ['count', 'total', 'matchedCount', 'modifiedCount', 'deletedCount', 'insertedCount', 'upsertedCount', 'passed'];
+
+// Masks sensitive keys and shortens long strings and arrays before arguments are logged
+const redactForAudit = (value, settings, key = '') => {
+  if (key && settings.redactKeys.some(pattern => key.toLowerCase().includes(pattern.toLowerCase()))) {
+    return '[REDACTED]';
+  }
+  if (typeof value === 'string') {
+    return value.length > settings.maxStringLength
+      ? `${value.slice(0, settings.maxStringLength)}… (${value.length} characters)`
+      : value;
+  }
+  if (Array.isArray(value)) {
+    const items = value.slice(0, settings.maxArrayItems).map(item => redactForAudit(item, settings));
+    return value.length > settings.maxArrayItems ? [...items, `… (${value.length} items)`] : items;
+  }
+  if (value && typeof value === 'object' && !value._bsontype && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([childKey, child]) => [childKey, redactForAudit(child, settings, childKey)]));
+  }
+  return value;
+};
+
+const auditCounts = (result) => Object.fromEntries(
+  AUDIT_COUNT_KEYS
+    .filter(key => typeof result?.structuredContent?.[key] === 'number')
+    .map(key => [key, result.structuredContent[key]])
+);
+
+const matchesAuditFilter = (entry, { tool, collectionName, since, until, success, isCollectionVisible }) =>
+  entry.collections.every(isCollectionVisible) &&
+  (!tool || entry.tool === tool) &&
+  (!collectionName || entry.collections.includes(collectionName)) &&
+  (!since || new Date(entry.timestamp) >= since) &&
+  (!until || new Date(entry.timestamp) <= until) &&
+  (success === undefined || entry.success === success);
+
+// Change streams
+//
+// subscribe_collection opens a change stream (replica sets and sharded
+// clusters only; a single-node replica set started with "mongod --replSet rs0"
+// and rs.initiate() is enough locally) and forwards every event to the
+// subscribing session as a notifications/message log entry. The last resume
+// token is stored in "changeStreams.tokenCollection" so a new subscription to
+// the same collection and pipeline picks up where the previous one stopped.
+const getChangeStreamSettings = (config) => ({
+  maxSubscriptions: config.changeStreams?.maxSubscriptions || 10,
+  bufferSize: config.changeStreams?.bufferSize || 500,
+  tokenCollection: config.changeStreams?.tokenCollection || '_mcp_change_tokens',
+  tokenFlushMs: config.changeStreams?.tokenFlushMs ?? 1000,
+  notificationLevel: config.changeStreams?.notificationLevel || 'info'
+});
+
+// Stages MongoDB accepts after $changeStream
+const CHANGE_STREAM_STAGES = ['$match', '$project', '$addFields', '$set', '$unset', '$replaceRoot', '$replaceWith', '$redact'];
+
+// Syslog severities used by logging/setLevel, least severe first
+const LOGGING_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+const validateChangeStreamPipeline = (pipeline) => {
+  if (!Array.isArray(pipeline)) {
+    throw new Error('pipeline must be an array of stages');
+  }
+  pipeline.forEach((stage, index) => {
+    const [operator, ...rest] = Object.keys(stage || {});
+    if (!operator || rest.length > 0) {
+      throw new Error(`Stage ${index + 1} must have exactly one operator`);
+    }
+    if (!CHANGE_STREAM_STAGES.includes(operator)) {
+      throw new Error(`Stage ${index + 1}: ${operator} is not allowed in a change stream (use ${CHANGE_STREAM_STAGES.join(', ')})`);
+    }
+  });
+};
+
+// Persisted tokens are keyed by what was watched, not by the subscription
+const changeStreamKey = (target, collectionName, pipeline) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([target.profileName, target.databaseName, collectionName, EJSON.serialize(pipeline)]))
+  .digest('hex')
+  .slice(0, 32);
+
+const createSubscriptionId = () => `sub_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`;
+
+// The parts of a change event worth sending to a client, as relaxed EJSON, with
+// the redaction rules applied to the documents. Fields the event type does not
+// have are left out rather than sent as null.
+const summarizeChange = (config, change) => toEJSON(config, Object.fromEntries(Object.entries({
+  token: change._id?._data,
+  operationType: change.operationType,
+  collectionName: change.ns?.coll,
+  documentKey: redactDocument(config, change.documentKey, change.ns?.coll),
+  fullDocument: redactDocument(config, change.fullDocument, change.ns?.coll),
+  updateDescription: change.updateDescription && {
+    // Keys are dotted paths ("address.city"), which the rules match as such
+    updatedFields: redactDocument(config, change.updateDescription.updatedFields, change.ns?.coll),
+    removedFields: change.updateDescription.removedFields
+  },
+  to: change.to,
+  clusterTime: change.clusterTime,
+  wallTime: change.wallTime
+}).filter(([, value]) => value !== undefined)));
+
+const isReplicaSetRequiredError = (error) =>
+  error.code === 40573 || /only supported on replica sets/i.test(error.message);
+
+// ChangeStreamHistoryLost / ChangeStreamFatalError: the stored token is too old to resume from
+const isResumeTokenLostError = (error) =>
+  error.code === 286 || error.code === 280 || /resume (point|token)/i.test(error.message);
+
+// Plugins
+//
+// "plugins" in config.json lists modules loaded at startup (default: ["dsa"];
+// [] turns the DSA tools off). An entry is a built-in plugin name, a path
+// relative to the working directory, a package name, or { module, options }.
+// A plugin exports register(context) (or is that function itself) and adds
+// tools, models and resources through context.server. Embedding applications
+// may pass the list to the constructor instead, with plugin objects in place
+// of module names.
+const BUILTIN_PLUGINS = {
+  dsa: path.join(__dirname, 'plugins', 'dsa.js')
+};
+
+const isPlugin = (value) => typeof value === 'function' || typeof value?.register === 'function';
+
+const getPluginEntries = (config, plugins) => (plugins ?? config.plugins ?? ['dsa']).map(entry => {
+  if (typeof entry === 'string' || isPlugin(entry)) {
+    return { module: entry, options: {} };
+  }
+  return { options: {}, ...entry };
+});
+
+const describePlugin = (source) => (typeof source === 'string' ? source : source?.name || 'anonymous');
+
+const resolvePluginModule = (name) => {
+  if (BUILTIN_PLUGINS[name]) {
+    return BUILTIN_PLUGINS[name];
+  }
+  return name.startsWith('.') || path.isAbsolute(name) ? path.resolve(process.cwd(), name) : name;
+};
+
+// Shared with plugins so their output is paginated, budgeted and redacted like
+// ours; bound to the config of the server that loads them
+const createPluginHelpers = (config) => ({
+  toEJSON: (value) => toEJSON(config, value),
+  clampLimit: (limit) => clampLimit(config, limit),
+  paginationProperties,
+  pageOutput,
+  pageOutputProperties,
+  formatPageFooter,
+  getQueryGuardSettings: () => getQueryGuardSettings(config),
+  budgetDocuments: (documents) => budgetDocuments(config, documents),
+  budgetOutput,
+  budgetOutputProperties,
+  formatBudgetNote,
+  redactDocument: (document, collectionName) => redactDocument(config, document, collectionName),
+  redactDocuments: (documents, collectionName) => redactDocuments(config, documents, collectionName),
+  resolveDataPath: (filePath) => resolveDataPath(config, filePath)
+});
+
+class MongoMCPServer {
+  // options.config replaces config.json; options.plugins replaces its "plugins" list
+  constructor(options = {}) {
+    if (!options.config || typeof options.config !== 'object') {
+      throw new Error('MongoMCPServer needs a config object: new MongoMCPServer({ config }) (loadConfig() reads config.json)');
+    }
+    this.config = options.config;
+    this.pluginEntries = options.plugins;
+    this.dynamicModels = new Map(); // Store dynamic models, keyed by connection/database/collection
+    this.connections = new Map(); // Non-default connection profiles: name -> mongoose connection
+    this.loadedSchemas = new Map(); // connection/database -> promise of the stored schemas being registered
+    this.sessions = new Map(); // HTTP sessions: sessionId -> { server, transport, lastActive, openRequests }
+    this.auditQueue = Promise.resolve(); // Serializes writes to the audit file
+    this.subscriptions = new Map(); // Change stream subscriptions: subscriptionId -> state
+    this.tools = new Map(); // Tools added with registerTool: name -> definition and handler
+    this.models = new Map(); // Typed models on the default connection: collectionName -> { Model, statsFields }
+    this.resources = []; // Resource templates added with registerResource
+    this.server = this.createServer();
+  }
+
+  // One MCP server per client session; all of them share the mongoose connection
+  // and model registry held by this instance
+  createServer() {
+    const server = new Server(
+      {
+        name: this.config.server?.name || 'mongodb-mcp-server',
+        version: this.config.server?.version || '1.0.0',
+      },
+      {
+        capabilities: {
+          tools: {},
+          resources: {},
+          logging: {},
+        },
+      }
+    );
+
+    server.onerror = (error) => process.stderr.write(`[MCP Error] ${error}\n`);
+    // Change events are delivered as log messages at the level the client asked for
+    server.loggingLevel = 'debug';
+    server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+      server.loggingLevel = request.params.level;
+      return {};
+    });
+    server.onclose = () => {
+      this.closeSubscriptions(server).catch(error =>
+        process.stderr.write(`[Change streams] Could not close subscriptions: ${error.message}\n`));
+    };
+    this.setupToolHandlers(server);
+    this.setupResourceHandlers(server);
+    return server;
+  }
+
+  // Adds a tool next to the built-in ones. "policy" has the TOOL_POLICIES shape;
+  // handler(args, { target, server }) gets the resolved connection target (null
+  // when "targeted" is false) and the MCP server of the calling session.
+  registerTool({ name, description, inputSchema, outputSchema, policy = {}, targeted = true, handler }) {
+    if (typeof name !== 'string' || !name) {
+      throw new Error('Failed to register tool: name is required');
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Failed to register tool "${name}": handler must be a function`);
+    }
+    if (TOOL_POLICIES[name] || this.tools.has(name)) {
+      throw new Error(`Failed to register tool "${name}": a tool with this name already exists`);
+    }
+    
+    this.tools.set(name, {
+      name,
+      description: description || name,
+      inputSchema: inputSchema || { type: 'object', properties: {} },
+      outputSchema,
+      policy,
+      targeted,
+      handler
+    });
+  }
+
+  // Generic tools use this model instead of a schemaless one for its collection on
+  // the default connection. "statsFields" makes it the get_collection_stats default.
+  registerModel(Model, { statsFields } = {}) {
+    this.models.set(Model.collection.collectionName, { Model, statsFields });
+  }
+
+  // "pattern" matches the URI and its groups are passed to read(), which returns
+  // the document (null when missing); access is checked against "collectionName"
+  registerResource({ uriTemplate, name, description, mimeType = 'application/json', pattern, collectionName, read }) {
+    if (!(pattern instanceof RegExp) || typeof read !== 'function') {
+      throw new Error(`Failed to register resource "${uriTemplate}": pattern and read are required`);
+    }
+    this.resources.push({ uriTemplate, name, description, mimeType, pattern, collectionName, read });
+  }
+
+  getToolPolicy(name) {
+    return this.tools.get(name)?.policy || TOOL_POLICIES[name];
+  }
+
+  isToolUntargeted(name) {
+    const registered = this.tools.get(name);
+    return registered ? registered.targeted === false : UNTARGETED_TOOLS.includes(name);
+  }
+
+  async loadPlugins() {
+    for (const { module: source, options } of getPluginEntries(this.config, this.pluginEntries)) {
+      try {
+        const plugin = isPlugin(source) ? source : require(resolvePluginModule(source));
+        const register = typeof plugin === 'function' ? plugin : plugin.register;
+        if (typeof register !== 'function') {
+          throw new Error('module does not export a register function');
+        }
+        await register.call(plugin, {
+          server: this,
+          connection: mongoose.connection,
+          mongoose,
+          models: this.models,
+          config: this.config,
+          options,
+          helpers: createPluginHelpers(this.config)
+        });
+      } catch (error) {
+        throw new Error(`Failed to load plugin "${describePlugin(source)}": ${error.message}`);
+      }
+    }
+  }
+
+  // Stops subscriptions, sessions and connections. Signal handling is left to the
+  // caller; the command below closes on SIGINT.
+  async close() {
+    await this.closeSubscriptions();
+    for (const { transport } of this.sessions.values()) {
+      await transport.close();
+    }
+    if (this.httpServer) {
+      clearInterval(this.sessionSweep);
+      this.httpServer.close();
+    }
+    for (const connection of this.connections.values()) {
+      await connection.close();
+    }
+    await mongoose.disconnect();
+    await this.server.close();
+  }
+
+  setupToolHandlers(server) {
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: applyToolPolicy(this.config, [
+        {
+          name: 'get_audit_log',
+          description: 'Get recorded tool invocations, newest first, filtered by tool, collection, time range or outcome',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              tool: { type: 'string', description: 'Only invocations of this tool' },
+              collectionName: { type: 'string', description: 'Only invocations that touched this collection' },
+              since: { type: 'string', description: 'ISO date/time; only entries at or after it' },
+              until: { type: 'string', description: 'ISO date/time; only entries at or before it' },
+              success: { type: 'boolean', description: 'Only successful (true) or failed (false) invocations' },
+              limit: {
+                type: 'number',
+                description: 'Maximum number of entries to return (default: 50, capped by the server configuration)',
+                default: 50
+              }
+            }
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              destination: { type: 'string' },
+              entries: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    timestamp: { type: 'string' },
+                    tool: { type: 'string' },
+                    arguments: { type: 'object' },
+                    collections: { type: 'array', items: { type: 'string' } },
+                    connection: { type: ['string', 'null'] },
+                    database: { type: ['string', 'null'] },
+                    durationMs: { type: 'number' },
+                    success: { type: 'boolean' },
+                    error: { type: ['string', 'null'] },
+                    counts: { type: 'object', additionalProperties: { type: 'number' } }
+                  },
+                  required: ['timestamp', 'tool', 'collections', 'durationMs', 'success']
+                }
+              },
+              count: { type: 'number' }
+            },
+            required: ['destination', 'entries', 'count']
+          }
+        },
+        {
+          name: 'list_connections',
+          description: 'List the configured connection profiles with their default database, health and ping latency',
+          inputSchema: {
+            type: 'object',
+            properties: {}
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              connections: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    name: { type: 'string' },
+                    default: { type: 'boolean' },
+                    host: { type: 'string' },
+                    database: { type: ['string', 'null'] },
+                    healthy: { type: 'boolean' },
+                    latencyMs: { type: ['number', 'null'] },
+                    error: { type: 'string' }
+                  },
+                  required: ['name', 'default', 'healthy']
+                }
+              }
+            },
+            required: ['connections']
+          }
+        },
+        {
+          name: 'get_all_collections',
+          description: 'Get list of all collection names in the database',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              ...targetProperties
+            }
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              collections: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    name: { type: 'string' },
+                    type: { type: 'string' }
+                  },
+                  required: ['name', 'type']
+                }
+              },
+              count: { type: 'number' }
+            },
+            required: ['collections', 'count']
+          }
+        },
+        {
+          name: 'create_collection',
+          description: 'Create a new collection with a custom schema (nested objects, arrays of sub-documents, enums, defaults, bounds, unique/indexed fields and ObjectId refs) and optional capped, time-series or collation options',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { 
+                type: 'string', 
+                description: 'Name of the collection to create' 
+              },
+              schema: {
+                ...schemaDefinitionSchema,
+                description: 'Schema definition for the collection'
+              },
+              options: collectionOptionsSchema,
+              ...validationProperties,
+              ...targetProperties
+            },
+            required: ['collectionName', 'schema']
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { type: 'string' },
+              schema: { type: 'object', description: 'The schema definition that was applied' },
+              options: { type: 'object' },
+              validationLevel: { type: 'string' },
+              validationAction: { type: 'string' },
+              warnings: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['collectionName', 'schema', 'validationLevel', 'validationAction']
+          }
+        },
+        {
+          name: 'get_collection_schema',
+          description: 'Get the stored schema definition and server-side validator of a collection',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { 
+                type: 'string', 
+                description: 'Name of the collection' 
+              },
+              ...targetProperties
+            },
+            required: ['collectionName']
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { type: 'string' },
+              managed: { type: 'boolean', description: 'Whether the schema was declared through create_collection or alter_collection_schema' },
+              schema: { type: ['object', 'null'] },
+              validationLevel: { type: ['string', 'null'] },
+              validationAction: { type: ['string', 'null'] },
+              validator: { type: ['object', 'null'], description: 'The validator currently set on the collection' },
+              updatedAt: { type: ['string', 'null'] }
+            },
+            required: ['collectionName', 'managed', 'schema', 'validator']
+          }
+        },
+        {
+          name: 'alter_collection_schema',
+          description: 'Replace the schema definition of a collection and update its server-side $jsonSchema validator',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { 
+                type: 'string', 
+                description: 'Name of the collection' 
+              },
+              schema: {
+                ...schemaDefinitionSchema,
+                description: 'New schema definition (omit to only change the validation settings)'
+              },
+              ...validationProperties,
+              ...targetProperties
+            },
+            required: ['collectionName']
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { type: 'string' },
+              schema: { type: 'object' },
+              validationLevel: { type: 'string' },
+              validationAction: { type: 'string' }
+            },
+            required: ['collectionName', 'schema', 'validationLevel', 'validationAction']
+          }
+        },
+        {
+          name: 'delete_collection',
+          description: 'Delete an entire collection and all its documents',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { 
+                type: 'string', 
+                description: 'Name of the collection to delete' 
+              },
+              ...targetProperties
+            },
+            required: ['collectionName']
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { type: 'string' },
+              dropped: { type: 'boolean' },
+              snapshotId: { type: ['string', 'null'], description: 'Snapshot taken before the drop' }
+            },
+            required: ['collectionName', 'dropped']
+          }
+        },
+        {
+          name: 'get_documents',
+          description: 'Get documents from any collection with optional filters',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { 
+                type: 'string', 
+                description: 'Name of the collection' 
+              },
+              filter: { 
+                type: 'object', 
+                description: 'MongoDB filter object (optional)',
+                additionalProperties: true
+              },
+              limit: { 
+                type: 'number', 
+                default: 10, 
+                description: 'Maximum number of documents to return (capped by the server configuration)' 
+              },
+              sort: {
+                type: 'object',
+                description: 'Sort criteria (e.g., {"createdAt": -1})',
+                additionalProperties: true
+              },
+              ...paginationProperties,
+              ...targetProperties
+            },
+            required: ['collectionName']
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { type: 'string' },
+              documents: { type: 'array', items: { type: 'object' }, description: 'Matching documents (Extended JSON)' },
+              ...pageOutputProperties,
+              ...budgetOutputProperties
+            },
+            required: ['collectionName', 'documents', 'count', 'nextCursor']
+          }
+        },
+        {
+          name: 'add_document',
+          description: 'Add a document to any collection',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { 
+                type: 'string', 
+                description: 'Name of the collection' 
+              },
+              document: { 
+                type: 'object', 
+                description: 'Document data to insert',
+                additionalProperties: true
+              },
+              ...targetProperties
+            },
+            required: ['collectionName', 'document']
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { type: 'string' },
+              document: { type: 'object', description: 'The saved document (Extended JSON)' }
+            },
+            required: ['collectionName', 'document']
+          }
+        },
+        {
+          name: 'update_documents',
+          description: 'Update documents in any collection using MongoDB update operators',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { 
+                type: 'string', 
+                description: 'Name of the collection' 
+              },
+              filter: { 
+                type: 'object', 
+                description: 'MongoDB filter selecting the documents to update',
+                additionalProperties: true
+              },
+              update: {
+                type: ['object', 'array'],
+                description: 'Update operators (e.g., {"$set": {"status": "done"}}) or an aggregation pipeline'
+              },
+              multi: {
+                type: 'boolean',
+                default: true,
+                description: 'Update every matching document (false updates only the first match)'
+              },
+              upsert: {
+                type: 'boolean',
+                default: false,
+                description: 'Insert a new document when nothing matches'
+              },
+              arrayFilters: {
+                type: 'array',
+                items: { type: 'object' },
+                description: 'Filters for positional $[<identifier>] updates on array elements'
+              },
+              dryRun: {
+                type: 'boolean',
+                default: false,
+                description: 'Only report the matched count and a sample of affected documents'
+              },
+              allowAll: {
+                type: 'boolean',
+                default: false,
+                description: 'Must be true to run with an empty filter (affects the whole collection)'
+              },
+              sampleSize: {
+                type: 'number',
+                default: 5,
+                description: 'Number of affected documents to show in a dry run'
+              },
+              ...targetProperties
+            },
+            required: ['collectionName', 'filter', 'update']
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { type: 'string' },
+              dryRun: { type: 'boolean' },
+              matchedCount: { type: 'number' },
+              modifiedCount: { type: 'number', description: 'Only present when the update ran' },
+              upsertedId: { description: 'Extended JSON _id of an upserted document, if any' },
+              snapshotId: { type: ['string', 'null'], description: 'Snapshot of the matched documents taken before a multi-document update' },
+              ...previewOutputProperties,
+              ...budgetOutputProperties
+            },
+            required: ['collectionName', 'dryRun', 'matchedCount']
+          }
+        },
+        {
+          name: 'delete_documents',
+          description: 'Delete documents matching a filter from any collection',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { 
+                type: 'string', 
+                description: 'Name of the collection' 
+              },
+              filter: { 
+                type: 'object', 
+                description: 'MongoDB filter selecting the documents to delete',
+                additionalProperties: true
+              },
+              multi: {
+                type: 'boolean',
+                default: true,
+                description: 'Delete every matching document (false deletes only the first match)'
+              },
+              dryRun: {
+                type: 'boolean',
+                default: false,
+                description: 'Only report the matched count and a sample of affected documents'
+              },
+              allowAll: {
+                type: 'boolean',
+                default: false,
+                description: 'Must be true to run with an empty filter (deletes the whole collection contents)'
+              },
+              sampleSize: {
+                type: 'number',
+                default: 5,
+                description: 'Number of affected documents to show in a dry run'
+              },
+              ...targetProperties
+            },
+            required: ['collectionName', 'filter']
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { type: 'string' },
+              dryRun: { type: 'boolean' },
+              matchedCount: { type: 'number', description: 'Only present for dry runs' },
+              deletedCount: { type: 'number', description: 'Only present when the delete ran' },
+              snapshotId: { type: ['string', 'null'], description: 'Snapshot of the matched documents taken before a multi-document delete' },
+              ...previewOutputProperties,
+              ...budgetOutputProperties
+            },
+            required: ['collectionName', 'dryRun']
+          }
+        },
+        {
+          name: 'aggregate',
+          description: 'Run an aggregation pipeline ($match, $group, $lookup, $facet, ...) on any collection',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { 
+                type: 'string', 
+                description: 'Name of the collection to aggregate' 
+              },
+              pipeline: {
+                type: 'array',
+                items: { type: 'object' },
+                description: 'Aggregation stages (e.g., [{"$group": {"_id": "$level", "count": {"$sum": 1}}}])'
+              },
+              maxTimeMS: {
+                type: 'number',
+                description: 'Time limit for the pipeline in milliseconds (capped by the server configuration)'
+              },
+              maxResults: {
+                type: 'number',
+                description: 'Maximum number of output documents to return (capped by the server configuration)'
+              },
+              allowDiskUse: {
+                type: 'boolean',
+                default: false,
+                description: 'Allow stages to write temporary files for large sorts and groups'
+              },
+              ...targetProperties
+            },
+            required: ['collectionName', 'pipeline']
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { type: 'string' },
+              documents: { type: 'array', items: { type: 'object' }, description: 'Pipeline output (Extended JSON)' },
+              count: { type: 'number' },
+              truncated: { type: 'boolean', description: 'True when the output was capped' },
+              writeStage: { type: ['string', 'null'], description: '$out or $merge when the pipeline wrote its output' },
+              ...budgetOutputProperties
+            },
+            required: ['collectionName', 'documents', 'count', 'truncated', 'writeStage']
+          }
+        },
+        {
+          name: 'infer_schema',
+          description: 'Sample a collection and report field paths, observed types, null/missing rates and example values',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { 
+                type: 'string', 
+                description: 'Name of the collection to inspect' 
+              },
+              sampleSize: {
+                type: 'number',
+                default: 100,
+                description: 'Number of documents to sample (max 1000)'
+              },
+              maxExamples: {
+                type: 'number',
+                default: 3,
+                description: 'Example values to show per field'
+              },
+              emitDefinition: {
+                type: 'boolean',
+                default: false,
+                description: 'Also return a schema definition that create_collection accepts'
+              },
+              ...targetProperties
+            },
+            required: ['collectionName']
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { type: 'string' },
+              sampledDocuments: { type: 'number' },
+              fields: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    path: { type: 'string' },
+                    types: { type: 'object', description: 'Observed type -> { count, rate }' },
+                    occurrences: { type: 'number' },
+                    nullRate: { type: 'number' },
+                    missingRate: { type: 'number' },
+                    examples: { type: 'array' }
+                  },
+                  required: ['path', 'types', 'nullRate', 'missingRate']
+                }
+              },
+              definition: { type: 'object', description: 'create_collection definition (when emitDefinition is set)' }
+            },
+            required: ['collectionName', 'sampledDocuments', 'fields']
+          }
+        },
+        {
+          name: 'list_indexes',
+          description: 'List the indexes of a collection',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { 
+                type: 'string', 
+                description: 'Name of the collection' 
+              },
+              ...targetProperties
+            },
+            required: ['collectionName']
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { type: 'string' },
+              indexes: { type: 'array', items: { type: 'object' }, description: 'Index descriptions as returned by MongoDB' }
+            },
+            required: ['collectionName', 'indexes']
+          }
+        },
+        {
+          name: 'create_index',
+          description: 'Create an index (single field, compound, unique, TTL, partial or text) on a collection',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { 
+                type: 'string', 
+                description: 'Name of the collection' 
+              },
+              keys: {
+                type: 'object',
+                description: 'Index keys in order, e.g. {"level": 1, "createdAt": -1} or {"name": "text", "description": "text"}',
+                additionalProperties: {
+                  oneOf: [
+                    { type: 'number', enum: [1, -1] },
+                    { type: 'string', enum: ['text', '2dsphere', 'hashed'] }
+                  ]
+                }
+              },
+              options: {
+                type: 'object',
+                description: 'Index options',
+                properties: {
+                  name: { type: 'string', description: 'Index name (generated from the keys when omitted)' },
+                  unique: { type: 'boolean', description: 'Reject documents with duplicate key values' },
+                  sparse: { type: 'boolean', description: 'Only index documents that contain the indexed fields' },
+                  expireAfterSeconds: { type: 'number', description: 'TTL: delete documents this many seconds after the indexed date' },
+                  partialFilterExpression: { type: 'object', description: 'Only index documents matching this filter', additionalProperties: true },
+                  weights: { type: 'object', description: 'Text index field weights', additionalProperties: { type: 'number' } },
+                  default_language: { type: 'string', description: 'Text index language' }
+                }
+              },
+              ...targetProperties
+            },
+            required: ['collectionName', 'keys']
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { type: 'string' },
+              indexName: { type: 'string' },
+              keys: { type: 'object' },
+              options: { type: 'object' }
+            },
+            required: ['collectionName', 'indexName', 'keys']
+          }
+        },
+        {
+          name: 'drop_index',
+          description: 'Drop an index from a collection by name',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { 
+                type: 'string', 
+                description: 'Name of the collection' 
+              },
+              indexName: {
+                type: 'string',
+                description: 'Name of the index to drop (see list_indexes)'
+              },
+              ...targetProperties
+            },
+            required: ['collectionName', 'indexName']
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { type: 'string' },
+              indexName: { type: 'string' }
+            },
+            required: ['collectionName', 'indexName']
+          }
+        },
+        {
+          name: 'explain_query',
+          description: 'Explain a find query: winning plan, documents examined vs returned and whether it scanned the whole collection',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { 
+                type: 'string', 
+                description: 'Name of the collection' 
+              },
+              filter: { 
+                type: 'object', 
+                description: 'MongoDB filter object (optional)',
+                additionalProperties: true
+              },
+              sort: {
+                type: 'object',
+                description: 'Sort criteria (e.g., {"createdAt": -1})',
+                additionalProperties: true
+              },
+              limit: { 
+                type: 'number', 
+                default: 10, 
+                description: 'Limit applied to the query' 
+              },
+              ...targetProperties
+            },
+            required: ['collectionName']
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { type: 'string' },
+              winningPlan: { type: 'array', items: { type: 'string' }, description: 'Plan stages, outermost first' },
+              rejectedPlans: { type: 'number' },
+              nReturned: { type: 'number' },
+              totalDocsExamined: { type: 'number' },
+              totalKeysExamined: { type: 'number' },
+              executionTimeMillis: { type: 'number' },
+              collectionScan: { type: 'boolean' }
+            },
+            required: ['collectionName', 'winningPlan', 'collectionScan']
+          }
+        },
+        {
+          name: 'import_documents',
+          description: 'Bulk insert documents from a local JSONL, JSON/EJSON or CSV file, or from an inline array, with a per-row validation report',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { 
+                type: 'string', 
+                description: 'Target collection (rows for collections with a stored or plugin schema are validated against it)' 
+              },
+              filePath: {
+                type: 'string',
+                description: 'File to read, relative to the configured files directory'
+              },
+              documents: {
+                type: 'array',
+                items: { type: 'object' },
+                description: 'Documents to insert instead of reading a file (Extended JSON values such as {"$oid": ...} are accepted)'
+              },
+              format: {
+                type: 'string',
+                enum: ['jsonl', 'json', 'ejson', 'csv'],
+                description: 'File format (detected from the file extension when omitted)'
+              },
+              dryRun: {
+                type: 'boolean',
+                default: false,
+                description: 'Only validate the rows, do not insert anything'
+              },
+              ...targetProperties
+            },
+            required: ['collectionName']
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { type: 'string' },
+              dryRun: { type: 'boolean' },
+              rowsRead: { type: 'number' },
+              validRows: { type: 'number' },
+              insertedCount: { type: 'number' },
+              rowErrors: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    row: { type: 'number' },
+                    errors: { type: 'array', items: { type: 'string' } }
+                  },
+                  required: ['row', 'errors']
+                }
+              },
+              rowErrorCount: { type: 'number', description: 'Rows with errors, including any left out of rowErrors' },
+              ...budgetOutputProperties
+            },
+            required: ['collectionName', 'dryRun', 'rowsRead', 'validRows', 'insertedCount', 'rowErrors', 'rowErrorCount']
+          }
+        },
+        {
+          name: 'export_documents',
+          description: 'Export documents from a collection as JSONL, EJSON or CSV, to a local file or inline',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { 
+                type: 'string', 
+                description: 'Name of the collection' 
+              },
+              filter: { 
+                type: 'object', 
+                description: 'MongoDB filter object (optional)',
+                additionalProperties: true
+              },
+              sort: {
+                type: 'object',
+                description: 'Sort criteria (e.g., {"createdAt": -1})',
+                additionalProperties: true
+              },
+              projection: {
+                type: 'object',
+                description: 'Fields to include or exclude (e.g., {"name": 1, "level": 1})',
+                additionalProperties: true
+              },
+              limit: {
+                type: 'number',
+                description: 'Maximum number of documents to export (capped by the server configuration)'
+              },
+              format: {
+                type: 'string',
+                enum: ['jsonl', 'json', 'ejson', 'csv'],
+                description: 'Output format (detected from the file extension when omitted, default jsonl)'
+              },
+              filePath: {
+                type: 'string',
+                description: 'File to write, relative to the configured files directory. Omit to return the export inline'
+              },
+              ...targetProperties
+            },
+            required: ['collectionName']
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { type: 'string' },
+              format: { type: 'string' },
+              count: { type: 'number' },
+              filePath: { type: 'string', description: 'Absolute path of the written file' },
+              output: { type: 'string', description: 'The export itself, when no filePath was given' },
+              ...budgetOutputProperties
+            },
+            required: ['collectionName', 'format', 'count']
+          }
+        },
+        {
+          name: 'update_collection_name',
+          description: 'Rename a collection',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              oldName: { 
+                type: 'string', 
+                description: 'Current collection name' 
+              },
+              newName: { 
+                type: 'string', 
+                description: 'New collection name' 
+              },
+              ...targetProperties
+            },
+            required: ['oldName', 'newName']
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              oldName: { type: 'string' },
+              newName: { type: 'string' },
+              snapshotId: { type: ['string', 'null'], description: 'Snapshot taken before the rename' }
+            },
+            required: ['oldName', 'newName']
+          }
+        },
+        {
+          name: 'run_batch',
+          description: 'Run an ordered list of insert, update, replace and delete operations across collections in a single transaction: either all of them are committed or none (requires a replica set or sharded cluster)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              operations: {
+                type: 'array',
+                description: 'Steps to run in order',
+                items: {
+                  type: 'object',
+                  properties: {
+                    op: { type: 'string', enum: BATCH_OPERATIONS },
+                    collectionName: { type: 'string', description: 'Collection the step writes to' },
+                    document: { type: 'object', description: 'insertOne: the document to insert' },
+                    documents: { type: 'array', items: { type: 'object' }, description: 'insertMany: the documents to insert' },
+                    filter: { type: 'object', description: 'update/replace/delete: MongoDB filter', additionalProperties: true },
+                    update: { type: ['object', 'array'], description: 'updateOne/updateMany: update operators or pipeline' },
+                    replacement: { type: 'object', description: 'replaceOne: the new document' },
+                    upsert: { type: 'boolean', description: 'update/replace: insert when nothing matches' },
+                    arrayFilters: { type: 'array', items: { type: 'object' } },
+                    allowAll: { type: 'boolean', description: 'updateMany/deleteMany: must be true to run with an empty filter' }
+                  },
+                  required: ['op', 'collectionName']
+                }
+              },
+              dryRun: {
+                type: 'boolean',
+                default: false,
+                description: 'Run every step inside the transaction and then abort it, reporting what would happen'
+              },
+              ...targetProperties
+            },
+            required: ['operations']
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              dryRun: { type: 'boolean' },
+              committed: { type: 'boolean' },
+              steps: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    step: { type: 'number' },
+                    op: { type: 'string' },
+                    collectionName: { type: 'string' },
+                    status: { type: 'string', enum: ['ok', 'failed', 'skipped'] },
+                    insertedCount: { type: 'number' },
+                    matchedCount: { type: 'number' },
+                    modifiedCount: { type: 'number' },
+                    deletedCount: { type: 'number' },
+                    upsertedCount: { type: 'number' },
+                    insertedIds: { type: 'array', description: 'Extended JSON _id values of inserted documents' },
+                    error: { type: 'string' }
+                  },
+                  required: ['step', 'op', 'collectionName', 'status']
+                }
+              },
+              snapshotIds: { type: 'array', items: { type: 'string' }, description: 'Snapshots taken before updateMany/deleteMany steps' },
+              error: { type: ['string', 'null'] }
+            },
+            required: ['dryRun', 'committed', 'steps', 'snapshotIds', 'error']
+          }
+        },
+        {
+          name: 'list_snapshots',
+          description: 'List snapshots taken before destructive operations, newest first',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { type: 'string', description: 'Only snapshots of this collection' },
+              limit: {
+                type: 'number',
+                description: 'Maximum number of snapshots to return (default: 20, capped by the server configuration)',
+                default: 20
+              },
+              ...targetProperties
+            }
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              destination: { type: 'string' },
+              snapshots: { type: 'array', items: snapshotSummarySchema },
+              count: { type: 'number' }
+            },
+            required: ['destination', 'snapshots', 'count']
+          }
+        },
+        {
+          name: 'restore_snapshot',
+          description: 'Restore a snapshot: recreate a dropped collection with its indexes and validator, or put back documents changed by a bulk update/delete',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              snapshotId: { type: 'string', description: 'Snapshot ID from list_snapshots' },
+              targetName: {
+                type: 'string',
+                description: 'Collection to restore into (default: the original collection)'
+              },
+              mode: {
+                type: 'string',
+                enum: ['create', 'upsert'],
+                description: '"create" builds a new collection (it must not exist); "upsert" replaces documents by _id in place. ' +
+                             'Default: create for collection snapshots, upsert for document snapshots'
+              },
+              ...targetProperties
+            },
+            required: ['snapshotId']
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              snapshotId: { type: 'string' },
+              collectionName: { type: 'string' },
+              database: { type: 'string' },
+              mode: { type: 'string' },
+              restoredCount: { type: 'number' },
+              indexesCreated: { type: 'number' }
+            },
+            required: ['snapshotId', 'collectionName', 'database', 'mode', 'restoredCount', 'indexesCreated']
+          }
+        },
+        {
+          name: 'prune_snapshots',
+          description: 'Delete snapshots by id, or those beyond the retention policy (per-collection count and maximum age)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              snapshotIds: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Delete exactly these snapshots instead of applying the retention policy'
+              },
+              keepPerCollection: {
+                type: 'number',
+                description: 'Newest snapshots to keep per collection (default from snapshots.retention.maxPerCollection)'
+              },
+              olderThanDays: {
+                type: 'number',
+                description: 'Delete snapshots older than this many days (default from snapshots.retention.maxAgeDays)'
+              },
+              dryRun: {
+                type: 'boolean',
+                description: 'Only report what would be deleted',
+                default: false
+              },
+              ...targetProperties
+            }
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              dryRun: { type: 'boolean' },
+              pruned: { type: 'array', items: snapshotSummarySchema },
+              count: { type: 'number' }
+            },
+            required: ['dryRun', 'pruned', 'count']
+          }
+        },
+        {
+          name: 'subscribe_collection',
+          description: 'Watch a collection through a change stream. Inserts, updates, replaces and deletes are pushed to this session as notifications/message log entries and buffered for get_recent_changes. ' +
+                       'Requires a replica set or sharded cluster (a local single-node replica set works: mongod --replSet rs0, then rs.initiate())',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { type: 'string', description: 'Collection to watch' },
+              pipeline: {
+                type: 'array',
+                items: { type: 'object' },
+                description: 'Stages applied to the change events ($match, $project, $addFields, $set, $unset, $replaceRoot, $replaceWith, $redact), e.g. [{"$match": {"operationType": "insert"}}]'
+              },
+              fullDocument: {
+                type: 'string',
+                enum: ['default', 'updateLookup', 'whenAvailable', 'required'],
+                description: '"updateLookup" includes the current document with update events (default: default)',
+                default: 'default'
+              },
+              resume: {
+                type: 'boolean',
+                description: 'Resume after the last stored token for this collection and pipeline, so no events are missed between subscriptions (default: true)',
+                default: true
+              },
+              ...targetProperties
+            },
+            required: ['collectionName']
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              subscriptionId: { type: 'string' },
+              collectionName: { type: 'string' },
+              database: { type: 'string' },
+              resumed: { type: 'boolean' },
+              resumeToken: { type: ['string', 'null'] }
+            },
+            required: ['subscriptionId', 'collectionName', 'database', 'resumed', 'resumeToken']
+          }
+        },
+        {
+          name: 'unsubscribe_collection',
+          description: 'Close a change stream opened by subscribe_collection',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              subscriptionId: { type: 'string', description: 'Subscription ID from subscribe_collection' },
+              forgetResumeToken: {
+                type: 'boolean',
+                description: 'Also delete the stored resume token, so the next subscription starts from now',
+                default: false
+              }
+            },
+            required: ['subscriptionId']
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              subscriptionId: { type: 'string' },
+              eventCount: { type: 'number' },
+              resumeToken: { type: ['string', 'null'] }
+            },
+            required: ['subscriptionId', 'eventCount', 'resumeToken']
+          }
+        },
+        {
+          name: 'get_recent_changes',
+          description: 'Return the change events buffered for a subscription, optionally only those after a given token',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              subscriptionId: { type: 'string', description: 'Subscription ID from subscribe_collection' },
+              sinceToken: {
+                type: 'string',
+                description: 'Token of the last event already seen; only later events are returned'
+              },
+              limit: {
+                type: 'number',
+                description: 'Maximum number of events to return (default: 50, capped by the server configuration)',
+                default: 50
+              }
+            },
+            required: ['subscriptionId']
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              subscriptionId: { type: 'string' },
+              events: { type: 'array', items: changeEventSchema },
+              count: { type: 'number' },
+              hasMore: { type: 'boolean' },
+              gap: {
+                type: 'boolean',
+                description: 'sinceToken is no longer buffered, so events may have been missed'
+              },
+              lastToken: { type: ['string', 'null'] },
+              ...budgetOutputProperties,
+              error: { type: ['string', 'null'] }
+            },
+            required: ['subscriptionId', 'events', 'count', 'hasMore', 'gap', 'lastToken', 'error']
+          }
         },
         {
-          name: 'get_dsa_questions',
-          description: 'Get DSA questions with optional filters',
+          name: 'get_collection_stats',
+          description: 'Get statistics about a collection: storage sizes, per-field cardinality and top values, min/max of numeric and date fields, and document counts over time. Defaults to the collection and fields registered by a plugin, such as the DsaQuestions level / algorithm / data structure breakdown',
           inputSchema: {
             type: 'object',
             properties: {
-              filter: {
+              collectionName: {
+                type: 'string',
+                description: 'Name of the collection (default: the one registered by a plugin, e.g. DsaQuestions)'
+              },
+              fields: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Fields to report cardinality and top values for; array fields are unwound (default: the fields registered for the collection, e.g. level, algorithm, datastructure for DsaQuestions)'
+              },
+              topN: {
+                type: 'number',
+                description: 'Top values reported per field (default: 10)',
+                default: 10
+              },
+              rangeFields: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Fields to report min/max for (default: numeric and date fields found in a sample)'
+              },
+              timeField: {
+                type: 'string',
+                description: 'Date field used to bucket document counts over time (default: createdAt)',
+                default: 'createdAt'
+              },
+              timeUnit: {
+                type: 'string',
+                enum: ['hour', 'day', 'week', 'month', 'quarter', 'year'],
+                description: 'Bucket size for the counts over time (default: month)',
+                default: 'month'
+              },
+              maxBuckets: {
+                type: 'number',
+                description: 'Most recent buckets to return (default: 24)',
+                default: 24
+              },
+              ...targetProperties
+            }
+          },
+          outputSchema: {
+            type: 'object',
+            properties: {
+              collectionName: { type: 'string' },
+              storage: {
                 type: 'object',
                 properties: {
-                  level: { 
-                    type: 'string', 
-                    enum: ['easy', 'medium', 'hard'],
-                    description: 'Filter by difficulty level'
+                  count: { type: 'number' },
+                  size: { type: 'number' },
+                  avgObjSize: { type: 'number' },
+                  storageSize: { type: 'number' },
+                  nindexes: { type: 'number' },
+                  totalIndexSize: { type: 'number' },
+                  indexSizes: { type: 'object', additionalProperties: { type: 'number' } }
+                },
+                required: ['count']
+              },
+              fields: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    field: { type: 'string' },
+                    distinct: { type: 'number' },
+                    top: { type: 'array', items: valueCountSchema }
                   },
-                  datastructure: { 
-                    type: 'string',
-                    description: 'Filter by data structure (e.g., "array", "linked list")'
+                  required: ['field', 'distinct', 'top']
+                }
+              },
+              ranges: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    field: { type: 'string' },
+                    min: {},
+                    max: {}
                   },
-                  algorithm: { 
-                    type: 'string',
-                    description: 'Filter by algorithm (e.g., "hashing", "dp")'
+                  required: ['field', 'min', 'max']
+                }
+              },
+              timeline: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string' },
+                  unit: { type: 'string' },
+                  buckets: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        start: { type: 'string' },
+                        count: { type: 'number' }
+                      },
+                      required: ['start', 'count']
+                    }
                   }
                 },
-                description: 'Optional filters for querying questions'
-              },
-              limit: {
-                type: 'number',
-                description: 'Maximum number of questions to return (default: 10)',
-                default: 10
+                required: ['field', 'unit', 'buckets']
               }
+            },
+            required: ['collectionName', 'storage', 'fields', 'ranges', 'timeline']
+          }
+        },
+        // Tools added through registerTool, by plugins or by code embedding this server
+        ...[...this.tools.values()].map(({ name, description, inputSchema, outputSchema }) => ({
+          name,
+          description,
+          inputSchema,
+          ...(outputSchema && { outputSchema })
+        }))
+      ], (name) => this.getToolPolicy(name))
+    }));
+
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const { name } = request.params;
+      const started = Date.now();
+      let args = request.params.arguments || {};
+      let target = null;
+      let result;
+      let failure;
+      
+      try {
+        args = deserializeArguments(request.params.arguments);
+        enforceToolPolicy(this.config, name, args, this.getToolPolicy(name));
+        try {
+          guardQueryArguments(this.config, args);
+        } catch (error) {
+          throw new McpError(ErrorCode.InvalidParams, `Query rejected: ${error.message}`);
+        }
+        // Opens the selected connection profile on first use. list_connections
+        // probes every profile itself and must work when the default one is down,
+        // get_audit_log may only need the local audit file, and the change stream
+        // tools other than subscribe_collection act on an open subscription.
+        const registered = this.tools.get(name);
+        target = this.isToolUntargeted(name) ? null : await this.resolveTarget(args);
+        result = registered
+          ? await registered.handler(args, { target, server })
+          : await this.callTool(name, args, target, server);
+        return result;
+      } catch (error) {
+        failure = error instanceof McpError
+          ? error
+          : new McpError(ErrorCode.InternalError, `Tool execution failed: ${error.message}`);
+        throw failure;
+      } finally {
+        this.recordAudit({ name, args, target, started, result, error: failure });
+      }
+    });
+  }
+
+  async callTool(name, args, target, server) {
+    switch (name) {
+      case 'get_collection_stats':
+        return await this.getCollectionStats(args, target);
+      case 'run_batch':
+        return await this.runBatch(args, target);
+      case 'list_snapshots':
+        return await this.listSnapshots(args, target);
+      case 'restore_snapshot':
+        return await this.restoreSnapshot(args, target);
+      case 'prune_snapshots':
+        return await this.pruneSnapshots(args, target);
+      case 'subscribe_collection':
+        return await this.subscribeCollection(args, target, server);
+      case 'unsubscribe_collection':
+        return await this.unsubscribeCollection(args, server);
+      case 'get_recent_changes':
+        return await this.getRecentChanges(args, server);
+      
+      // New Generic Collection Tools
+      case 'list_connections':
+        return await this.listConnections();
+      case 'get_audit_log':
+        return await this.getAuditLog(args);
+      case 'get_all_collections':
+        return await this.getAllCollections(args, target);
+      case 'create_collection':
+        return await this.createCollection(args, target);
+      case 'get_collection_schema':
+        return await this.getCollectionSchema(args, target);
+      case 'alter_collection_schema':
+        return await this.alterCollectionSchema(args, target);
+      case 'delete_collection':
+        return await this.deleteCollection(args, target);
+      case 'get_documents':
+        return await this.getDocuments(args, target);
+      case 'add_document':
+        return await this.addDocument(args, target);
+      case 'update_documents':
+        return await this.updateDocuments(args, target);
+      case 'delete_documents':
+        return await this.deleteDocuments(args, target);
+      case 'aggregate':
+        return await this.aggregate(args, target);
+      case 'infer_schema':
+        return await this.inferCollectionSchema(args, target);
+      case 'list_indexes':
+        return await this.listIndexes(args, target);
+      case 'create_index':
+        return await this.createIndex(args, target);
+      case 'drop_index':
+        return await this.dropIndex(args, target);
+      case 'explain_query':
+        return await this.explainQuery(args, target);
+      case 'import_documents':
+        return await this.importDocuments(args, target);
+      case 'export_documents':
+        return await this.exportDocuments(args, target);
+      case 'update_collection_name':
+        return await this.updateCollectionName(args, target);
+      
+      default:
+        throw new McpError(
+          ErrorCode.MethodNotFound,
+          `Unknown tool: ${name}`
+        );
+    }
+  }
+
+  setupResourceHandlers(server) {
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      const target = await this.resolveTarget();
+      const { databaseName } = target;
+      const collections = await this.listCollectionInfo(target);
+      
+      return {
+        resources: collections.map(col => ({
+          uri: `mongodb://${databaseName}/${encodeURIComponent(col.name)}`,
+          name: col.name,
+          description: `${col.type} "${col.name}" in ${databaseName}: stats and inferred schema`,
+          mimeType: 'application/json'
+        }))
+      };
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: [
+        {
+          uriTemplate: 'mongodb://{database}/{collection}',
+          name: 'Collection overview',
+          description: 'Collection stats and a schema inferred from sampled documents',
+          mimeType: 'application/json'
+        },
+        {
+          uriTemplate: 'mongodb://{database}/{collection}/{id}',
+          name: 'Document',
+          description: 'A single document looked up by _id',
+          mimeType: 'application/json'
+        },
+        ...this.resources.map(({ uriTemplate, name, description, mimeType }) => ({ uriTemplate, name, description, mimeType }))
+      ]
+    }));
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const registered = this.resources.find(resource => resource.pattern.test(uri));
+      if (registered) {
+        return await this.readRegisteredResource(registered, uri);
+      }
+      
+      const target = parseResourceUri(uri);
+      if (!target) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown resource URI: ${uri}`);
+      }
+      if (target.collection && !isCollectionAllowed(this.config, target.collection)) {
+        throw new McpError(ErrorCode.InvalidRequest, `Access to collection "${target.collection}" is not allowed`);
+      }
+      
+      // Resources always live on the default connection profile
+      const location = await this.resolveTarget({ database: target.database });
+      
+      const { maxTimeMS } = getQueryGuardSettings(this.config);
+      let data;
+      if (target.kind === 'document') {
+        data = redactDocument(this.config,
+          await location.connection.db.collection(target.collection).findOne({ _id: toDocumentId(target.id) }, { maxTimeMS }),
+          target.collection
+        );
+      } else {
+        data = await this.describeCollection(location, target.collection);
+      }
+      
+      if (!data) {
+        throw new McpError(ErrorCode.InvalidParams, `Resource not found: ${uri}`);
+      }
+      
+      return {
+        contents: [{
+          uri,
+          mimeType: 'application/json',
+          text: JSON.stringify(budgetDocuments(this.config, [data]).documents[0], null, 2)
+        }]
+      };
+    });
+  }
+
+  // Plugin resources read through their own models on the default connection
+  async readRegisteredResource(resource, uri) {
+    if (resource.collectionName && !isCollectionAllowed(this.config, resource.collectionName)) {
+      throw new McpError(ErrorCode.InvalidRequest, `Access to collection "${resource.collectionName}" is not allowed`);
+    }
+    
+    await this.resolveTarget();
+    const params = resource.pattern.exec(uri).slice(1).map(decodeURIComponent);
+    const data = await resource.read(...params);
+    if (!data) {
+      throw new McpError(ErrorCode.InvalidParams, `Resource not found: ${uri}`);
+    }
+    
+    return {
+      contents: [{
+        uri,
+        mimeType: resource.mimeType,
+        text: JSON.stringify(budgetDocuments(this.config, [data]).documents[0], null, 2)
+      }]
+    };
+  }
+
+  // The default profile uses mongoose's default connection, which registered plugin models are bound to
+  async ensureConnected() {
+    if (mongoose.connection.readyState !== 1) {
+      // Concurrent HTTP sessions share a single in-flight connect
+      if (!this.connecting) {
+        const profile = getConnectionProfiles(this.config)[getDefaultConnectionName(this.config)];
+        this.connecting = mongoose.connect(profile.uri, connectionOptions(profile))
+          .finally(() => { this.connecting = null; });
+      }
+      await this.connecting;
+      // console.log('Connected to MongoDB');
+    }
+  }
+
+  // Connection for a named profile, opened on first use
+  async getConnection(profileName) {
+    const profiles = getConnectionProfiles(this.config);
+    const profile = profiles[profileName];
+    if (!profile) {
+      throw new Error(`Unknown connection "${profileName}". Available connections: ${Object.keys(profiles).join(', ')}`);
+    }
+    
+    if (profileName === getDefaultConnectionName(this.config)) {
+      await this.ensureConnected();
+      return mongoose.connection;
+    }
+    
+    let connection = this.connections.get(profileName);
+    if (!connection) {
+      connection = mongoose.createConnection(profile.uri, connectionOptions(profile));
+      this.connections.set(profileName, connection);
+    }
+    
+    try {
+      await connection.asPromise();
+    } catch (error) {
+      // Forget the failed pool so the next call retries
+      this.connections.delete(profileName);
+      connection.close().catch(() => {});
+      throw error;
+    }
+    return connection;
+  }
+
+  // Resolves the optional "connection" and "database" tool arguments
+  async resolveTarget({ connection, database } = {}) {
+    const profileName = connection || getDefaultConnectionName(this.config);
+    const base = await this.getConnection(profileName);
+    const databaseName = database || base.db.databaseName;
+    
+    const target = {
+      profileName,
+      databaseName,
+      connection: databaseName === base.db.databaseName ? base : base.useDb(databaseName, { useCache: true })
+    };
+    await this.loadStoredSchemas(target);
+    return target;
+  }
+
+  // Rebuilds the typed models of a database from its schema metadata, once per process
+  async loadStoredSchemas(target) {
+    const key = `${target.profileName}/${target.databaseName}`;
+    if (!this.loadedSchemas.has(key)) {
+      const loading = (async () => {
+        const records = await this.getSchemaMetadata(target).find({}).toArray();
+        for (const record of records) {
+          try {
+            this.registerSchemaModel(target, record._id, record.definition);
+          } catch (error) {
+            process.stderr.write(`[Schema] Skipping stored schema for ${key}/${record._id}: ${error.message}\n`);
+          }
+        }
+      })();
+      this.loadedSchemas.set(key, loading);
+      loading.catch(() => this.loadedSchemas.delete(key));
+    }
+    await this.loadedSchemas.get(key);
+  }
+
+  getSchemaMetadata(target) {
+    return target.connection.db.collection(getSchemaSettings(this.config).metadataCollection);
+  }
+
+  // (Re)registers the typed model of a collection. Re-registering replaces the
+  // previous mongoose model instead of failing with OverwriteModelError.
+  registerSchemaModel(target, collectionName, definition) {
+    const modelName = collectionName + '_Typed';
+    if (target.connection.models[modelName]) {
+      target.connection.deleteModel(modelName);
+    }
+    const Model = target.connection.model(modelName, createDynamicSchema(definition), collectionName);
+    this.dynamicModels.set(modelKey(target, collectionName), Model);
+    return Model;
+  }
+
+  async applyValidator(target, collectionName, definition, validationLevel, validationAction) {
+    await target.connection.db.command({
+      collMod: collectionName,
+      validator: { $jsonSchema: definitionToJsonSchema(definition) },
+      validationLevel,
+      validationAction
+    });
+  }
+
+  async collectionExists(target, collectionName) {
+    const matches = await target.connection.db.listCollections({ name: collectionName }, { nameOnly: true }).toArray();
+    return matches.length > 0;
+  }
+
+  // Look up the model for a collection, falling back to a schemaless one for
+  // collections that were not created through create_collection
+  getModel(collectionName, target) {
+    if (target.connection === mongoose.connection && this.models.has(collectionName)) {
+      return this.models.get(collectionName).Model;
+    }
+    
+    const key = modelKey(target, collectionName);
+    let Model = this.dynamicModels.get(key);
+    
+    if (!Model) {
+      const modelName = collectionName + '_Generic';
+      const genericSchema = new mongoose.Schema({}, { strict: false, timestamps: true });
+      Model = target.connection.models[modelName] || target.connection.model(modelName, genericSchema, collectionName);
+      this.dynamicModels.set(key, Model);
+    }
+    
+    return Model;
+  }
+
+  // Shared paginated find behind get_documents and plugin list tools. "documents"
+  // are redacted copies and "output" is the same as EJSON fitted into the
+  // response budget; the cursor is built from the stored values.
+  async findPage(Model, { filter = {}, sort, projection, limit = 10, skip = 0, cursor, includeTotal = false }) {
+    const pageSort = normalizeSort(sort);
+    const pageLimit = clampLimit(this.config, limit);
+    const collectionName = Model.collection.collectionName;
+    const { maxTimeMS } = getQueryGuardSettings(this.config);
+    const query = cursor ? { $and: [filter, buildCursorFilter(pageSort, decodeCursor(cursor, pageSort))] } : filter;
+    
+    // Fetch one extra document to know whether another page exists
+    const results = await Model.find(query, projectionWithSortFields(projection, pageSort))
+      .sort(pageSort)
+      .skip(Math.max(Math.floor(Number(skip)) || 0, 0))
+      .limit(pageLimit + 1)
+      .maxTimeMS(maxTimeMS)
+      .lean();
+    
+    const hasMore = results.length > pageLimit;
+    const documents = redactDocuments(this.config, hasMore ? results.slice(0, pageLimit) : results, collectionName);
+    const budget = budgetDocuments(this.config, documents);
+    // Documents left out by the budget come first on the next page
+    const kept = budget.documents.length;
+    const more = hasMore || budget.omitted > 0;
+    if (more) {
+      assertCursorVisible(this.config, results[kept - 1], pageSort, collectionName);
+    }
+    
+    return {
+      documents: documents.slice(0, kept),
+      output: budget.documents,
+      budget,
+      limit: pageLimit,
+      nextCursor: more ? encodeCursor(results[kept - 1], pageSort) : null,
+      total: includeTotal ? await Model.countDocuments(filter).maxTimeMS(maxTimeMS) : undefined
+    };
+  }
+
+  async getCollectionStats(args, target) {
+    const {
+      topN = 10,
+      rangeFields,
+      timeField = 'createdAt',
+      timeUnit = 'month',
+      maxBuckets = 24
+    } = args;
+    // Plugins register a default breakdown (the DSA question tags) with their models
+    const defaultModel = [...this.models.entries()].find(([, { statsFields }]) => statsFields);
+    const collectionName = args.collectionName || defaultModel?.[0];
+    if (!collectionName) {
+      throw new Error('Failed to get collection stats: collectionName is required');
+    }
+    if (!isCollectionAllowed(this.config, collectionName)) {
+      throw new McpError(ErrorCode.InvalidRequest, `Tool "get_collection_stats" denied: access to collection "${collectionName}" is not allowed`);
+    }
+    const fields = args.fields || this.models.get(collectionName)?.statsFields || [];
+    
+    try {
+      if (!(await this.collectionExists(target, collectionName))) {
+        throw new Error(`Collection "${collectionName}" does not exist`);
+      }
+      
+      const collection = target.connection.db.collection(collectionName);
+      const { maxTimeMS } = getAggregationLimits(this.config);
+      const run = (pipeline) => collection.aggregate(pipeline, { maxTimeMS, allowDiskUse: true }).toArray();
+      const storage = await this.getStorageStats(collection);
+      
+      // Array values are unwound so each element counts, as for datastructure / algorithm
+      const fieldStats = [];
+      for (const field of fields) {
+        const [facets] = await run([
+          { $project: { _id: 0, value: `$${field}` } },
+          { $unwind: '$value' },
+          {
+            $facet: {
+              top: [
+                { $group: { _id: '$value', count: { $sum: 1 } } },
+                { $sort: { count: -1, _id: 1 } },
+                { $limit: clampLimit(this.config, topN) }
+              ],
+              distinct: [{ $group: { _id: '$value' } }, { $count: 'count' }]
             }
           }
-        },
-        // New Generic Collection Tools
-        {
-          name: 'get_all_collections',
-          description: 'Get list of all collection names in the database',
-          inputSchema: {
-            type: 'object',
-            properties: {}
+        ]);
+        fieldStats.push({
+          field,
+          distinct: facets.distinct[0]?.count || 0,
+          top: facets.top.map(stat => ({ value: toEJSON(this.config, redactFieldValue(this.config, stat._id, field, collectionName)), count: stat.count }))
+        });
+      }
+      
+      // Without explicit fields, take the paths that were only ever numbers or dates in a sample
+      let ranged = rangeFields;
+      if (!ranged) {
+        const sample = await run([{ $sample: { size: 100 } }]);
+        ranged = inferSchema(sample)
+          .filter(field => !field.path.includes('[]') && field.path !== '__v')
+          .filter(field => {
+            const types = Object.keys(field.types).filter(type => type !== 'null');
+            return types.length > 0 && types.every(type => ['number', 'double', 'int32', 'long', 'decimal128', 'date'].includes(type));
+          })
+          .map(field => field.path);
+      }
+      
+      let ranges = [];
+      if (ranged.length > 0) {
+        const [bounds = {}] = await run([{
+          $group: {
+            _id: null,
+            ...Object.fromEntries(ranged.flatMap((field, index) => [
+              [`min${index}`, { $min: `$${field}` }],
+              [`max${index}`, { $max: `$${field}` }]
+            ]))
+          }
+        }]);
+        ranges = ranged.map((field, index) => ({
+          field,
+          min: toEJSON(this.config, redactFieldValue(this.config, bounds[`min${index}`] ?? null, field, collectionName)),
+          max: toEJSON(this.config, redactFieldValue(this.config, bounds[`max${index}`] ?? null, field, collectionName))
+        }));
+      }
+      
+      const buckets = (await run([
+        { $match: { [timeField]: { $type: 'date' } } },
+        { $group: { _id: { $dateTrunc: { date: `$${timeField}`, unit: timeUnit } }, count: { $sum: 1 } } },
+        { $sort: { _id: -1 } },
+        { $limit: Math.max(Math.floor(maxBuckets) || 1, 1) }
+      ])).reverse().map(bucket => ({ start: bucket._id.toISOString(), count: bucket.count }));
+      
+      const formatValue = (value) => typeof value === 'string' ? value : JSON.stringify(value);
+      const sections = [
+        `**${collectionName} Collection Stats**\n\n` +
+        `Documents: ${storage.count}` +
+        (storage.size !== undefined
+          ? ` | Size: ${storage.size} bytes | Avg document: ${Math.round(storage.avgObjSize || 0)} bytes | ` +
+            `Indexes: ${storage.nindexes} (${storage.totalIndexSize} bytes)`
+          : ''),
+        ...fieldStats.map(stat =>
+          `**${stat.field}** (${stat.distinct} distinct):\n` +
+          (stat.top.map(entry => `${formatValue(entry.value)}: ${entry.count}`).join(', ') || '(no values)')
+        ),
+        ...(ranges.length > 0
+          ? [`**Ranges:**\n${ranges.map(range => `• ${range.field}: ${formatValue(range.min)} … ${formatValue(range.max)}`).join('\n')}`]
+          : []),
+        `**Documents per ${timeUnit} (${timeField}):**\n` +
+        (buckets.map(bucket => `${bucket.start.slice(0, 10)}: ${bucket.count}`).join('\n') || `(no documents with a date in ${timeField})`)
+      ];
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: sections.join('\n\n')
           }
-        },
-        {
-          name: 'create_collection',
-          description: 'Create a new collection with a custom schema',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              collectionName: { 
-                type: 'string', 
-                description: 'Name of the collection to create' 
-              },
-              schema: {
-                type: 'object',
-                description: 'Schema definition for the collection',
-                additionalProperties: {
-                  type: 'object',
-                  properties: {
-                    type: { 
-                      type: 'string', 
-                      enum: ['String', 'Number', 'Boolean', 'Date', 'Array', 'Object'],
-                      description: 'Field data type'
-                    },
-                    required: { 
-                      type: 'boolean', 
-                      default: false,
-                      description: 'Whether field is required'
-                    },
-                    itemType: { 
-                      type: 'string', 
-                      enum: ['String', 'Number', 'Boolean', 'Mixed'],
-                      description: 'Type of items in array (only for Array type)'
-                    }
-                  },
-                  required: ['type']
-                }
-              }
-            },
-            required: ['collectionName', 'schema']
+        ],
+        structuredContent: {
+          collectionName,
+          storage,
+          fields: fieldStats,
+          ranges,
+          timeline: {
+            field: timeField,
+            unit: timeUnit,
+            buckets
+          }
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get collection stats for ${collectionName}: ${error.message}`);
+    }
+  }
+
+  // New Generic Collection Methods
+  // Every connection profile with its host, database and a ping
+  async listConnections() {
+    const profiles = getConnectionProfiles(this.config);
+    const defaultName = getDefaultConnectionName(this.config);
+    const connections = [];
+    
+    for (const [name, profile] of Object.entries(profiles)) {
+      const entry = {
+        name,
+        default: name === defaultName,
+        host: describeUriHosts(profile.uri),
+        database: profile.database || null,
+        healthy: false,
+        latencyMs: null
+      };
+      
+      try {
+        const connection = await this.getConnection(name);
+        entry.database = connection.db.databaseName;
+        const started = Date.now();
+        await connection.db.command({ ping: 1 });
+        entry.latencyMs = Date.now() - started;
+        entry.healthy = true;
+      } catch (error) {
+        entry.error = error.message;
+      }
+      
+      connections.push(entry);
+    }
+    
+    return {
+      content: [{
+        type: 'text',
+        text: `**Connection profiles:**\n\n${connections.map(entry =>
+          `• **${entry.name}**${entry.default ? ' (default)' : ''}: ${entry.host}/${entry.database || ''} — ` +
+          (entry.healthy ? `healthy, ping ${entry.latencyMs} ms` : `unavailable: ${entry.error}`)
+        ).join('\n')}`
+      }],
+      structuredContent: {
+        connections
+      }
+    };
+  }
+
+  // Collections visible under the security policy, shared by get_all_collections and resources/list
+  async listCollectionInfo(target) {
+    const collections = await target.connection.db.listCollections().toArray();
+    return collections.filter(col => isCollectionAllowed(this.config, col.name)).map(col => ({
+      name: col.name,
+      type: col.type || 'collection'
+    }));
+  }
+
+  // Storage sizes from $collStats, shared by get_collection_stats and collection resources
+  async getStorageStats(collection) {
+    try {
+      const [collStats] = await collection.aggregate([{ $collStats: { storageStats: {} } }]).toArray();
+      const storage = collStats?.storageStats || {};
+      return {
+        count: storage.count ?? await collection.estimatedDocumentCount(),
+        size: storage.size,
+        avgObjSize: storage.avgObjSize,
+        storageSize: storage.storageSize,
+        nindexes: storage.nindexes,
+        totalIndexSize: storage.totalIndexSize,
+        indexSizes: storage.indexSizes
+      };
+    } catch (error) {
+      // Views and some hosted tiers do not support $collStats; the count is enough
+      return { count: await collection.estimatedDocumentCount() };
+    }
+  }
+
+  // Stats plus a schema inferred from a sample of documents
+  async describeCollection(target, collectionName, sampleSize = 50) {
+    const db = target.connection.db;
+    const [info] = await db.listCollections({ name: collectionName }).toArray();
+    if (!info) {
+      return null;
+    }
+    
+    const collection = db.collection(collectionName);
+    const stats = await this.getStorageStats(collection);
+    
+    // Types come from the stored values; only the examples are redacted
+    const sample = await collection.aggregate([{ $sample: { size: sampleSize } }], { maxTimeMS: getQueryGuardSettings(this.config).maxTimeMS }).toArray();
+    
+    return {
+      database: db.databaseName,
+      collection: collectionName,
+      type: info.type || 'collection',
+      stats,
+      schema: {
+        sampledDocuments: sample.length,
+        fields: inferSchema(sample, 3, createExampleRedactor(this.config, collectionName))
+      }
+    };
+  }
+
+  async getAllCollections(args, target) {
+    try {
+      const collectionInfo = await this.listCollectionInfo(target);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `**All Collections in Database:**\n\n${collectionInfo.map(col => 
+              `• ${col.name} (${col.type})`
+            ).join('\n')}\n\nTotal: ${collectionInfo.length} collections`
+          }
+        ],
+        structuredContent: {
+          collections: collectionInfo,
+          count: collectionInfo.length
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get collections: ${error.message}`);
+    }
+  }
+
+  async createCollection(args, target) {
+    const settings = getSchemaSettings(this.config);
+    const {
+      collectionName,
+      schema,
+      options = {},
+      validationLevel = settings.validationLevel,
+      validationAction = settings.validationAction
+    } = args;
+    
+    try {
+      if (await this.collectionExists(target, collectionName)) {
+        throw new Error(`Collection "${collectionName}" already exists. Use alter_collection_schema to change its schema`);
+      }
+      
+      const createOptions = toCreateCollectionOptions(options);
+      const Model = this.registerSchemaModel(target, collectionName, schema);
+      const warnings = [];
+      
+      // Create the collection with its options, then attach the validator and indexes
+      await Model.createCollection(createOptions);
+      try {
+        await this.applyValidator(target, collectionName, schema, validationLevel, validationAction);
+      } catch (error) {
+        // Older servers reject validators on time-series collections
+        if (!options.timeseries) throw error;
+        warnings.push(`Validator not applied: ${error.message}`);
+      }
+      await Model.createIndexes();
+      
+      const now = new Date();
+      await this.getSchemaMetadata(target).replaceOne(
+        { _id: collectionName },
+        { definition: schema, options, validationLevel, validationAction, createdAt: now, updatedAt: now },
+        { upsert: true }
+      );
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `Successfully created collection: **${collectionName}**\n\n**Schema:**\n${JSON.stringify(schema, null, 2)}\n\n` +
+                (Object.keys(options).length > 0 ? `**Options:**\n${JSON.stringify(options, null, 2)}\n\n` : '') +
+                `**Validation:** ${validationLevel} / ${validationAction}` +
+                warnings.map(warning => `\n⚠️ ${warning}`).join('')
+        }],
+        structuredContent: {
+          collectionName,
+          schema,
+          options,
+          validationLevel,
+          validationAction,
+          warnings
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to create collection: ${error.message}`);
+    }
+  }
+
+  async getCollectionSchema(args, target) {
+    const { collectionName } = args;
+    
+    try {
+      const [info] = await target.connection.db.listCollections({ name: collectionName }).toArray();
+      if (!info) {
+        throw new Error(`Collection "${collectionName}" does not exist`);
+      }
+      
+      const record = await this.getSchemaMetadata(target).findOne({ _id: collectionName });
+      const validator = info.options?.validator || null;
+      
+      return {
+        content: [{
+          type: 'text',
+          text: record
+            ? `**Schema for "${collectionName}":**\n\n${JSON.stringify(record.definition, null, 2)}\n\n` +
+              `**Validation:** ${record.validationLevel} / ${record.validationAction}\n` +
+              `**Updated:** ${record.updatedAt}`
+            : `Collection **${collectionName}** has no stored schema. Use infer_schema to derive one and alter_collection_schema to apply it.` +
+              (validator ? `\n\n**Existing validator:**\n${formatJson(this.config, validator)}` : '')
+        }],
+        structuredContent: {
+          collectionName,
+          managed: Boolean(record),
+          schema: record?.definition || null,
+          validationLevel: record?.validationLevel || info.options?.validationLevel || null,
+          validationAction: record?.validationAction || info.options?.validationAction || null,
+          validator: validator && toEJSON(this.config, validator),
+          updatedAt: record?.updatedAt?.toISOString() || null
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get schema for ${collectionName}: ${error.message}`);
+    }
+  }
+
+  async alterCollectionSchema(args, target) {
+    const { collectionName, schema } = args;
+    
+    try {
+      if (!(await this.collectionExists(target, collectionName))) {
+        throw new Error(`Collection "${collectionName}" does not exist. Use create_collection to create it`);
+      }
+      
+      const settings = getSchemaSettings(this.config);
+      const record = await this.getSchemaMetadata(target).findOne({ _id: collectionName });
+      const definition = schema || record?.definition;
+      if (!definition) {
+        throw new Error(`Collection "${collectionName}" has no stored schema, so "schema" is required`);
+      }
+      const validationLevel = args.validationLevel || record?.validationLevel || settings.validationLevel;
+      const validationAction = args.validationAction || record?.validationAction || settings.validationAction;
+      
+      // Build the model first so an invalid definition leaves the collection untouched
+      const Model = this.registerSchemaModel(target, collectionName, definition);
+      await this.applyValidator(target, collectionName, definition, validationLevel, validationAction);
+      await Model.createIndexes();
+      
+      const now = new Date();
+      await this.getSchemaMetadata(target).updateOne(
+        { _id: collectionName },
+        { $set: { definition, validationLevel, validationAction, updatedAt: now }, $setOnInsert: { createdAt: now } },
+        { upsert: true }
+      );
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `Successfully updated the schema of **${collectionName}**\n\n**Schema:**\n${JSON.stringify(definition, null, 2)}\n\n` +
+                `**Validation:** ${validationLevel} / ${validationAction}`
+        }],
+        structuredContent: {
+          collectionName,
+          schema: definition,
+          validationLevel,
+          validationAction
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to alter schema of ${collectionName}: ${error.message}`);
+    }
+  }
+
+  async deleteCollection(args, target) {
+    const { collectionName } = args;
+    
+    try {
+      const snapshot = await this.takeSnapshot(target, collectionName, { reason: 'delete_collection', skip: args.skipSnapshot === true });
+      await target.connection.db.dropCollection(collectionName);
+      this.dynamicModels.delete(modelKey(target, collectionName));
+      await this.getSchemaMetadata(target).deleteOne({ _id: collectionName });
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `Successfully deleted collection: **${collectionName}** and all its documents` + formatSnapshotNote(snapshot)
+        }],
+        structuredContent: {
+          collectionName,
+          dropped: true,
+          snapshotId: snapshot?.id || null
+        }
+      };
+    } catch (error) {
+      if (error.message.includes('ns not found')) {
+        throw new Error(`Collection "${collectionName}" does not exist`);
+      }
+      throw new Error(`Failed to delete collection: ${error.message}`);
+    }
+  }
+
+  async getDocuments(args, target) {
+    const {
+      collectionName,
+      filter = {},
+      limit = 10,
+      sort = { createdAt: -1 },
+      projection,
+      skip,
+      cursor,
+      includeTotal
+    } = args;
+    
+    try {
+      const Model = this.getModel(collectionName, target);
+      const page = await this.findPage(Model, { filter, sort, projection, limit, skip, cursor, includeTotal });
+      const { documents } = page;
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `**Found ${documents.length} documents in "${collectionName}":**\n\n` +
+                `${JSON.stringify(page.output, null, 2)}${formatBudgetNote(page.budget)}${formatPageFooter(page)}`
+        }],
+        structuredContent: {
+          collectionName,
+          documents: page.output,
+          ...pageOutput(page)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get documents from ${collectionName}: ${error.message}`);
+    }
+  }
+
+  async addDocument(args, target) {
+    const { collectionName, document } = args;
+    
+    try {
+      const Model = this.getModel(collectionName, target);
+      const newDoc = new Model(document);
+      const savedDoc = await newDoc.save();
+      const savedData = redactDocument(this.config, savedDoc.toObject(), collectionName);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `Successfully added document to **${collectionName}**:\n\n**Document ID:** ${savedDoc._id}\n**Created:** ${savedDoc.createdAt}\n\n**Data:**\n${formatJson(this.config, savedData)}`
+        }],
+        structuredContent: {
+          collectionName,
+          document: toEJSON(this.config, savedData)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to add document to ${collectionName}: ${error.message}`);
+    }
+  }
+
+  async updateDocuments(args, target) {
+    const {
+      collectionName,
+      filter = {},
+      update,
+      multi = true,
+      upsert = false,
+      arrayFilters,
+      dryRun = false,
+      allowAll = false,
+      sampleSize = 5
+    } = args;
+    
+    try {
+      assertFilterAllowed(filter, allowAll);
+      const Model = this.getModel(collectionName, target);
+      
+      if (dryRun) {
+        return await this.previewAffectedDocuments(Model, collectionName, filter, {
+          action: 'update',
+          multi,
+          sampleSize,
+          upsert
+        });
+      }
+      
+      const options = { upsert };
+      if (arrayFilters) {
+        options.arrayFilters = arrayFilters;
+      }
+      
+      const snapshot = multi
+        ? await this.takeSnapshot(target, collectionName, { reason: 'update_documents', filter, Model, skip: args.skipSnapshot === true })
+        : null;
+      const result = multi
+        ? await Model.updateMany(filter, update, options)
+        : await Model.updateOne(filter, update, options);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `Successfully updated documents in **${collectionName}**:\n\n` +
+                `**Matched:** ${result.matchedCount}\n` +
+                `**Modified:** ${result.modifiedCount}` +
+                (result.upsertedId ? `\n**Upserted ID:** ${result.upsertedId}` : '') +
+                formatSnapshotNote(snapshot)
+        }],
+        structuredContent: {
+          collectionName,
+          dryRun: false,
+          matchedCount: result.matchedCount,
+          modifiedCount: result.modifiedCount,
+          snapshotId: snapshot?.id || null,
+          ...(result.upsertedId && { upsertedId: toEJSON(this.config, { _id: result.upsertedId })._id })
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to update documents in ${collectionName}: ${error.message}`);
+    }
+  }
+
+  async deleteDocuments(args, target) {
+    const { collectionName, filter = {}, multi = true, dryRun = false, allowAll = false, sampleSize = 5 } = args;
+    
+    try {
+      assertFilterAllowed(filter, allowAll);
+      const Model = this.getModel(collectionName, target);
+      
+      if (dryRun) {
+        return await this.previewAffectedDocuments(Model, collectionName, filter, {
+          action: 'delete',
+          multi,
+          sampleSize
+        });
+      }
+      
+      const snapshot = multi
+        ? await this.takeSnapshot(target, collectionName, { reason: 'delete_documents', filter, Model, skip: args.skipSnapshot === true })
+        : null;
+      const result = multi
+        ? await Model.deleteMany(filter)
+        : await Model.deleteOne(filter);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `Successfully deleted ${result.deletedCount} document(s) from **${collectionName}**` + formatSnapshotNote(snapshot)
+        }],
+        structuredContent: {
+          collectionName,
+          dryRun: false,
+          deletedCount: result.deletedCount,
+          snapshotId: snapshot?.id || null
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to delete documents from ${collectionName}: ${error.message}`);
+    }
+  }
+
+  // Dry-run report shared by update_documents and delete_documents
+  async previewAffectedDocuments(Model, collectionName, filter, { action, multi, sampleSize, upsert = false }) {
+    const { maxTimeMS } = getQueryGuardSettings(this.config);
+    const matchedCount = await Model.countDocuments(filter).maxTimeMS(maxTimeMS);
+    const affectedCount = multi ? matchedCount : Math.min(matchedCount, 1);
+    const sample = budgetDocuments(this.config, redactDocuments(this.config,
+      await Model.find(filter).limit(Math.min(affectedCount, sampleSize)).maxTimeMS(maxTimeMS).lean(),
+      collectionName
+    ));
+    
+    let text = `**Dry run:** ${action} on **${collectionName}** (nothing was changed)\n\n` +
+               `**Matched:** ${matchedCount}\n` +
+               `**Would ${action}:** ${affectedCount}`;
+    
+    if (upsert && matchedCount === 0) {
+      text += '\n\nNo documents match, so a new document would be inserted (upsert).';
+    }
+    
+    if (sample.documents.length > 0) {
+      text += `\n\n**Sample of affected documents (${sample.documents.length}):**\n` +
+              `${JSON.stringify(sample.documents, null, 2)}${formatBudgetNote(sample)}`;
+    }
+    
+    return {
+      content: [{
+        type: 'text',
+        text
+      }],
+      structuredContent: {
+        collectionName,
+        dryRun: true,
+        action,
+        matchedCount,
+        affectedCount,
+        sample: sample.documents,
+        ...budgetOutput(sample)
+      }
+    };
+  }
+
+  async aggregate(args, target) {
+    const { collectionName, pipeline, maxTimeMS, maxResults, allowDiskUse = false } = args;
+    const limits = getAggregationLimits(this.config);
+    
+    try {
+      if (!Array.isArray(pipeline)) {
+        throw new Error('pipeline must be an array of stages');
+      }
+      
+      const writeStage = findWriteStage(pipeline);
+      if (writeStage && !limits.allowWrites) {
+        throw new Error(`${writeStage} stages are disabled. Set "aggregation.allowWrites": true in config.json to enable them`);
+      }
+      
+      const timeLimit = Math.min(maxTimeMS || limits.maxTimeMS, limits.maxTimeMS);
+      const resultCap = Math.min(maxResults || limits.maxResults, limits.maxResults);
+      
+      // Fetch one extra document so we can tell whether the output was capped.
+      // $out/$merge must stay the final stage, so those pipelines get no $limit.
+      const redacted = redactPipeline(this.config, pipeline, collectionName);
+      const stages = writeStage ? redacted : [...redacted, { $limit: resultCap + 1 }];
+      
+      const Model = this.getModel(collectionName, target);
+      const results = await Model.aggregate(stages)
+        .option({ maxTimeMS: timeLimit })
+        .allowDiskUse(allowDiskUse);
+      
+      if (writeStage) {
+        return {
+          content: [{
+            type: 'text',
+            text: `Aggregation on **${collectionName}** completed and its output was written by the ${writeStage} stage`
+          }],
+          structuredContent: {
+            collectionName,
+            documents: [],
+            count: 0,
+            truncated: false,
+            writeStage
+          }
+        };
+      }
+      
+      const truncated = results.length > resultCap;
+      // Fields moved or renamed by the pipeline were removed at its start; rules
+      // still apply to the output's field paths and detectors to every string
+      const budget = budgetDocuments(this.config, redactDocuments(this.config, truncated ? results.slice(0, resultCap) : results, collectionName));
+      const documents = budget.documents;
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `**Aggregation on "${collectionName}" returned ${documents.length} documents` +
+                `${truncated ? ` (output capped at ${resultCap})` : ''}:**\n\n${JSON.stringify(documents, null, 2)}${formatBudgetNote(budget)}`
+        }],
+        structuredContent: {
+          collectionName,
+          documents,
+          count: documents.length,
+          truncated,
+          writeStage: null,
+          ...budgetOutput(budget)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to aggregate ${collectionName}: ${error.message}`);
+    }
+  }
+
+  async inferCollectionSchema(args, target) {
+    const { collectionName, sampleSize = 100, maxExamples = 3, emitDefinition = false } = args;
+    
+    try {
+      const Model = this.getModel(collectionName, target);
+      // Types and rates come from the stored values so an emitted definition
+      // matches the data; only the examples are redacted
+      const sample = await Model.aggregate([{ $sample: { size: Math.min(Math.max(sampleSize, 1), 1000) } }])
+        .option({ maxTimeMS: getQueryGuardSettings(this.config).maxTimeMS });
+      
+      if (sample.length === 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: `Collection **${collectionName}** has no documents to sample`
+          }],
+          structuredContent: {
+            collectionName,
+            sampledDocuments: 0,
+            fields: []
           }
-        },
-        {
-          name: 'delete_collection',
-          description: 'Delete an entire collection and all its documents',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              collectionName: { 
-                type: 'string', 
-                description: 'Name of the collection to delete' 
-              }
-            },
-            required: ['collectionName']
+        };
+      }
+      
+      const fields = inferSchema(sample, maxExamples, createExampleRedactor(this.config, collectionName));
+      const percent = (rate) => `${Math.round(rate * 100)}%`;
+      const lines = fields.map(field => {
+        const types = Object.entries(field.types).map(([type, stat]) => `${type} ${percent(stat.rate)}`).join(', ');
+        const examples = field.examples.length > 0 ? ` | e.g. ${field.examples.map(e => JSON.stringify(e)).join(', ')}` : '';
+        return `• **${field.path}**: ${types} | null ${percent(field.nullRate)} | missing ${percent(field.missingRate)}${examples}`;
+      });
+      
+      let text = `**Inferred schema for "${collectionName}"** (${sample.length} sampled documents):\n\n${lines.join('\n')}`;
+      const structuredContent = {
+        collectionName,
+        sampledDocuments: sample.length,
+        fields
+      };
+      
+      if (emitDefinition) {
+        structuredContent.definition = schemaToDefinition(fields, sample.length);
+        text += `\n\n**create_collection definition:**\n${JSON.stringify(structuredContent.definition, null, 2)}`;
+      }
+      
+      return {
+        content: [{
+          type: 'text',
+          text
+        }],
+        structuredContent
+      };
+    } catch (error) {
+      throw new Error(`Failed to infer schema for ${collectionName}: ${error.message}`);
+    }
+  }
+
+  async listIndexes(args, target) {
+    const { collectionName } = args;
+    
+    try {
+      const indexes = await this.getModel(collectionName, target).collection.indexes();
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `**Indexes on "${collectionName}":**\n\n${indexes.map(index => {
+            const flags = ['unique', 'sparse']
+              .filter(flag => index[flag])
+              .concat(index.expireAfterSeconds !== undefined ? [`TTL ${index.expireAfterSeconds}s`] : [])
+              .concat(index.partialFilterExpression ? [`partial ${JSON.stringify(index.partialFilterExpression)}`] : [])
+              .concat(index.weights ? [`text weights ${JSON.stringify(index.weights)}`] : []);
+            return `• **${index.name}**: ${JSON.stringify(index.key)}${flags.length > 0 ? ` (${flags.join(', ')})` : ''}`;
+          }).join('\n')}\n\nTotal: ${indexes.length} indexes`
+        }],
+        structuredContent: {
+          collectionName,
+          indexes: toEJSON(this.config, indexes)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to list indexes on ${collectionName}: ${error.message}`);
+    }
+  }
+
+  async createIndex(args, target) {
+    const { collectionName, keys, options = {} } = args;
+    
+    try {
+      if (!keys || Object.keys(keys).length === 0) {
+        throw new Error('keys must name at least one field');
+      }
+      
+      const indexName = await this.getModel(collectionName, target).collection.createIndex(keys, options);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `Successfully created index **${indexName}** on **${collectionName}**:\n\n` +
+                `**Keys:** ${JSON.stringify(keys)}` +
+                (Object.keys(options).length > 0 ? `\n**Options:** ${JSON.stringify(options)}` : '')
+        }],
+        structuredContent: {
+          collectionName,
+          indexName,
+          keys,
+          options: toEJSON(this.config, options)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to create index on ${collectionName}: ${error.message}`);
+    }
+  }
+
+  async dropIndex(args, target) {
+    const { collectionName, indexName } = args;
+    
+    try {
+      if (indexName === '_id_') {
+        throw new Error('The _id index cannot be dropped');
+      }
+      
+      await this.getModel(collectionName, target).collection.dropIndex(indexName);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `Successfully dropped index **${indexName}** from **${collectionName}**`
+        }],
+        structuredContent: {
+          collectionName,
+          indexName
+        }
+      };
+    } catch (error) {
+      if (error.message.includes('index not found')) {
+        throw new Error(`Index "${indexName}" does not exist on ${collectionName}`);
+      }
+      throw new Error(`Failed to drop index on ${collectionName}: ${error.message}`);
+    }
+  }
+
+  async explainQuery(args, target) {
+    const { collectionName, filter = {}, sort = {}, limit = 10 } = args;
+    
+    try {
+      const Model = this.getModel(collectionName, target);
+      const explanation = await Model.find(filter)
+        .sort(sort)
+        .limit(limit)
+        .maxTimeMS(getQueryGuardSettings(this.config).maxTimeMS)
+        .explain('executionStats');
+      // Sharded clusters and some server versions wrap the result in an array
+      const result = Array.isArray(explanation) ? explanation[0] : explanation;
+      
+      const stages = collectPlanStages(result.queryPlanner?.winningPlan);
+      const stats = result.executionStats || {};
+      const collectionScan = stages.some(stage => stage.startsWith('COLLSCAN'));
+      const rejectedPlans = result.queryPlanner?.rejectedPlans?.length || 0;
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `**Query plan for "${collectionName}":**\n\n` +
+                `**Filter:** ${JSON.stringify(toEJSON(this.config, filter))}\n` +
+                `**Sort:** ${JSON.stringify(sort)}\n\n` +
+                `**Winning plan:** ${stages.join(' <- ') || 'unknown'}\n` +
+                `**Rejected plans:** ${rejectedPlans}\n\n` +
+                `**Returned:** ${stats.nReturned}\n` +
+                `**Documents examined:** ${stats.totalDocsExamined}\n` +
+                `**Keys examined:** ${stats.totalKeysExamined}\n` +
+                `**Execution time:** ${stats.executionTimeMillis} ms\n\n` +
+                (collectionScan
+                  ? '⚠️ COLLSCAN: the query scans the whole collection. Consider an index on the filtered/sorted fields (create_index).'
+                  : 'The query is served by an index.')
+        }],
+        structuredContent: {
+          collectionName,
+          winningPlan: stages,
+          rejectedPlans,
+          nReturned: stats.nReturned,
+          totalDocsExamined: stats.totalDocsExamined,
+          totalKeysExamined: stats.totalKeysExamined,
+          executionTimeMillis: stats.executionTimeMillis,
+          collectionScan
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to explain query on ${collectionName}: ${error.message}`);
+    }
+  }
+
+  async importDocuments(args, target) {
+    const { collectionName, filePath, documents, format, dryRun = false } = args;
+    
+    try {
+      let rows;
+      if (documents) {
+        rows = documents.map((document, index) => ({ row: index + 1, document }));
+      } else if (filePath) {
+        const text = await fs.promises.readFile(resolveDataPath(this.config, filePath), 'utf8');
+        rows = parseImportRows(text, detectFormat(format, filePath));
+      } else {
+        throw new Error('Provide either "filePath" or "documents"');
+      }
+      
+      // Validate every row against the collection's schema before touching the database
+      const Model = this.getModel(collectionName, target);
+      const rowErrors = [];
+      const valid = [];
+      for (const { row, document, error } of rows) {
+        if (error) {
+          rowErrors.push({ row, errors: [error] });
+          continue;
+        }
+        const candidate = new Model(document);
+        const validationError = candidate.validateSync();
+        if (validationError) {
+          rowErrors.push({ row, errors: Object.values(validationError.errors).map(e => `${e.path}: ${e.message}`) });
+        } else {
+          valid.push({ row, candidate });
+        }
+      }
+      
+      let insertedCount = 0;
+      if (!dryRun && valid.length > 0) {
+        try {
+          const inserted = await Model.insertMany(valid.map(entry => entry.candidate), { ordered: false });
+          insertedCount = inserted.length;
+        } catch (error) {
+          // With ordered: false the driver keeps going and reports each failed row
+          if (!error.writeErrors) {
+            throw error;
           }
-        },
-        {
-          name: 'get_documents',
-          description: 'Get documents from any collection with optional filters',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              collectionName: { 
-                type: 'string', 
-                description: 'Name of the collection' 
-              },
-              filter: { 
-                type: 'object', 
-                description: 'MongoDB filter object (optional)',
-                additionalProperties: true
-              },
-              limit: { 
-                type: 'number', 
-                default: 10, 
-                description: 'Maximum number of documents to return' 
-              },
-              sort: {
-                type: 'object',
-                description: 'Sort criteria (e.g., {"createdAt": -1})',
-                additionalProperties: true
-              }
-            },
-            required: ['collectionName']
+          for (const writeError of error.writeErrors) {
+            rowErrors.push({ row: valid[writeError.index].row, errors: [writeError.errmsg || writeError.message] });
           }
-        },
-        {
-          name: 'add_document',
-          description: 'Add a document to any collection',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              collectionName: { 
-                type: 'string', 
-                description: 'Name of the collection' 
-              },
-              document: { 
-                type: 'object', 
-                description: 'Document data to insert',
-                additionalProperties: true
-              }
-            },
-            required: ['collectionName', 'document']
+          insertedCount = error.insertedDocs?.length ?? valid.length - error.writeErrors.length;
+        }
+      }
+      
+      rowErrors.sort((a, b) => a.row - b.row);
+      const shownErrors = rowErrors.slice(0, 50);
+      // Row numbers stay plain numbers; only the messages go through the response budget
+      const budget = budgetDocuments(this.config, rowErrors.map(({ errors }) => ({ errors })));
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `**Import into "${collectionName}"${dryRun ? ' (dry run, nothing inserted)' : ''}:**\n\n` +
+                `**Rows read:** ${rows.length}\n` +
+                `**Valid rows:** ${valid.length}\n` +
+                `**Inserted:** ${insertedCount}\n` +
+                `**Rows with errors:** ${rowErrors.length}` +
+                (shownErrors.length > 0
+                  ? `\n\n**Row errors:**\n${shownErrors.map(e => `• Row ${e.row}: ${e.errors.join('; ')}`).join('\n')}` +
+                    (rowErrors.length > shownErrors.length ? `\n… and ${rowErrors.length - shownErrors.length} more` : '')
+                  : '') +
+                formatBudgetNote(budget)
+        }],
+        structuredContent: {
+          collectionName,
+          dryRun,
+          rowsRead: rows.length,
+          validRows: valid.length,
+          insertedCount,
+          rowErrors: budget.documents.map((limited, index) => ({ row: rowErrors[index].row, errors: limited.errors })),
+          rowErrorCount: rowErrors.length,
+          ...budgetOutput(budget)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to import documents into ${collectionName}: ${error.message}`);
+    }
+  }
+
+  async exportDocuments(args, target) {
+    const { collectionName, filter = {}, sort = { createdAt: -1 }, projection, limit, format, filePath } = args;
+    
+    try {
+      const outputFormat = detectFormat(format, filePath);
+      // Inline exports end up in the conversation, so they get the normal read cap
+      const maxDocuments = filePath ? getFileLimits(this.config).maxExportDocuments : getQueryLimits(this.config).maxLimit;
+      const exportLimit = Math.min(limit || maxDocuments, maxDocuments);
+      
+      const Model = this.getModel(collectionName, target);
+      const documents = await Model.find(filter, projection)
+        .sort(normalizeSort(sort))
+        .limit(exportLimit)
+        .maxTimeMS(getQueryGuardSettings(this.config).maxTimeMS)
+        .lean();
+      
+      if (filePath) {
+        const output = formatExport(documents, outputFormat);
+        const outputPath = resolveDataPath(this.config, filePath);
+        await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+        await fs.promises.writeFile(outputPath, output, 'utf8');
+        
+        return {
+          content: [{
+            type: 'text',
+            text: `Successfully exported ${documents.length} documents from **${collectionName}** to \`${outputPath}\` (${outputFormat})` +
+                  (documents.length === exportLimit ? `\n\nThe export stopped at the ${exportLimit} document limit.` : '')
+          }],
+          structuredContent: {
+            collectionName,
+            format: outputFormat,
+            count: documents.length,
+            filePath: outputPath
           }
-        },
-        {
-          name: 'update_collection_name',
-          description: 'Rename a collection',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              oldName: { 
-                type: 'string', 
-                description: 'Current collection name' 
-              },
-              newName: { 
-                type: 'string', 
-                description: 'New collection name' 
-              }
-            },
-            required: ['oldName', 'newName']
+        };
+      }
+      
+      // Files get everything; inline exports are redacted and fitted into the response budget
+      const budget = budgetDocuments(this.config, redactDocuments(this.config, documents, collectionName));
+      const output = formatExport(EJSON.deserialize(budget.documents, { relaxed: true }), outputFormat);
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `**Exported ${budget.documents.length} documents from "${collectionName}" (${outputFormat}):**\n\n${output}${formatBudgetNote(budget)}`
+        }],
+        structuredContent: {
+          collectionName,
+          format: outputFormat,
+          count: budget.documents.length,
+          output,
+          ...budgetOutput(budget)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to export documents from ${collectionName}: ${error.message}`);
+    }
+  }
+
+  async updateCollectionName(args, target) {
+    const { oldName, newName } = args;
+    
+    try {
+      const snapshot = await this.takeSnapshot(target, oldName, { reason: 'update_collection_name', skip: args.skipSnapshot === true });
+      await target.connection.db.collection(oldName).rename(newName);
+      
+      // Models are bound to a collection name, so the typed model is rebuilt for
+      // the new name and the stored schema follows the collection
+      this.dynamicModels.delete(modelKey(target, oldName));
+      const metadata = this.getSchemaMetadata(target);
+      const record = await metadata.findOne({ _id: oldName });
+      if (record) {
+        await metadata.insertOne({ ...record, _id: newName, updatedAt: new Date() });
+        await metadata.deleteOne({ _id: oldName });
+        this.registerSchemaModel(target, newName, record.definition);
+      }
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `Successfully renamed collection from **${oldName}** to **${newName}**` + formatSnapshotNote(snapshot)
+        }],
+        structuredContent: {
+          oldName,
+          newName,
+          snapshotId: snapshot?.id || null
+        }
+      };
+    } catch (error) {
+      if (error.message.includes('source namespace does not exist')) {
+        throw new Error(`Collection "${oldName}" does not exist`);
+      }
+      throw new Error(`Failed to rename collection: ${error.message}`);
+    }
+  }
+
+  // Batches
+  
+  async runBatchStep(operation, target, session) {
+    const Model = this.getModel(operation.collectionName, target);
+    const writeOptions = { session };
+    if (operation.upsert) writeOptions.upsert = true;
+    if (operation.arrayFilters) writeOptions.arrayFilters = operation.arrayFilters;
+    
+    switch (operation.op) {
+      case 'insertOne':
+      case 'insertMany': {
+        const inserted = await Model.insertMany(
+          operation.op === 'insertOne' ? [operation.document] : operation.documents,
+          { session }
+        );
+        return { insertedCount: inserted.length, insertedIds: inserted.map(document => toEJSON(this.config, { _id: document._id })._id) };
+      }
+      case 'updateOne':
+      case 'updateMany':
+      case 'replaceOne': {
+        const result = operation.op === 'replaceOne'
+          ? await Model.replaceOne(operation.filter, operation.replacement, writeOptions)
+          : await Model[operation.op](operation.filter, operation.update, writeOptions);
+        return { matchedCount: result.matchedCount, modifiedCount: result.modifiedCount, upsertedCount: result.upsertedCount };
+      }
+      default: {
+        const result = await Model[operation.op](operation.filter, { session });
+        return { deletedCount: result.deletedCount };
+      }
+    }
+  }
+
+  async runBatch(args, target) {
+    const { operations, dryRun = false } = args;
+    const limits = getBatchLimits(this.config);
+    
+    try {
+      if (!Array.isArray(operations) || operations.length === 0) {
+        throw new Error('"operations" must be a non-empty array');
+      }
+      if (operations.length > limits.maxOperations) {
+        throw new Error(`A batch may have at most ${limits.maxOperations} operations (batch.maxOperations)`);
+      }
+      operations.forEach(validateBatchOperation);
+      
+      // Bulk steps are snapshotted as they stand before the batch starts
+      const snapshotIds = [];
+      if (!dryRun) {
+        for (const operation of operations.filter(operation => ['updateMany', 'deleteMany'].includes(operation.op))) {
+          const snapshot = await this.takeSnapshot(target, operation.collectionName, {
+            reason: 'run_batch',
+            filter: operation.filter,
+            Model: this.getModel(operation.collectionName, target),
+            skip: args.skipSnapshot === true
+          });
+          if (snapshot) {
+            snapshotIds.push(snapshot.id);
           }
-        },
-        {
-          name: 'get_collection_stats',
-          description: 'Get statistics about the DsaQuestions collection',
-          inputSchema: {
-            type: 'object',
-            properties: {}
+        }
+      }
+      
+      const steps = operations.map((operation, index) => ({
+        step: index + 1,
+        op: operation.op,
+        collectionName: operation.collectionName,
+        status: 'skipped'
+      }));
+      let committed = false;
+      let failure = null;
+      
+      const session = await target.connection.startSession();
+      try {
+        session.startTransaction();
+        for (const [index, operation] of operations.entries()) {
+          try {
+            Object.assign(steps[index], { status: 'ok' }, await this.runBatchStep(operation, target, session));
+          } catch (error) {
+            Object.assign(steps[index], { status: 'failed', error: error.message });
+            throw error;
           }
         }
-      ]
-    }));
+        
+        if (dryRun) {
+          await session.abortTransaction();
+        } else {
+          await session.commitTransaction();
+          committed = true;
+        }
+      } catch (error) {
+        if (session.inTransaction()) {
+          await session.abortTransaction().catch(() => {});
+        }
+        failure = /Transaction numbers are only allowed|replica set/i.test(error.message)
+          ? `Transactions need a replica set or sharded cluster: ${error.message}`
+          : error.message;
+      } finally {
+        await session.endSession();
+      }
+      
+      const outcome = (step) => {
+        const counts = ['insertedCount', 'matchedCount', 'modifiedCount', 'deletedCount', 'upsertedCount']
+          .filter(key => step[key] !== undefined)
+          .map(key => `${key.replace('Count', '')}: ${step[key]}`)
+          .join(', ');
+        return step.status === 'failed' ? `failed: ${step.error}` : step.status === 'ok' ? counts : 'skipped';
+      };
+      const heading = failure
+        ? `Batch **rolled back**: ${failure}`
+        : dryRun
+          ? '**Dry run:** every step succeeded; the transaction was aborted, nothing was changed'
+          : `Batch committed: ${steps.length} step(s)`;
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `${heading}\n\n${steps.map(step =>
+            `${step.step}. ${step.op} on **${step.collectionName}**: ${outcome(step)}`
+          ).join('\n')}` +
+          (snapshotIds.length > 0 ? `\n\n**Snapshots:** ${snapshotIds.join(', ')}` : '')
+        }],
+        // The per-step report is still returned, but a rolled-back batch is a failed call
+        ...(failure && { isError: true }),
+        structuredContent: {
+          dryRun,
+          committed,
+          steps,
+          snapshotIds,
+          error: failure
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to run batch: ${error.message}`);
+    }
+  }
+
+  // Snapshots
+  
+  // Snapshot database on the same connection as the collection being snapshotted
+  getSnapshotStore(target) {
+    return target.connection.useDb(getSnapshotSettings(this.config).database, { useCache: true }).db;
+  }
+
+  // "skip" is the caller's confirmed skipSnapshot argument
+  async takeSnapshot(target, collectionName, { reason, filter, Model, skip = false }) {
+    const settings = getSnapshotSettings(this.config);
+    if (!settings.enabled || skip) {
+      return null;
+    }
+    
+    let manifest = null;
+    try {
+      const db = target.connection.db;
+      const [info] = await db.listCollections({ name: collectionName }).toArray();
+      if (!info || info.type === 'view') {
+        // Nothing to keep: the operation itself reports a missing collection
+        return null;
+      }
+      
+      const collection = db.collection(collectionName);
+      const documentCount = filter ? await Model.countDocuments(filter) : await collection.countDocuments();
+      if (documentCount > settings.maxDocuments) {
+        throw new Error(`${documentCount} documents is more than snapshots.maxDocuments (${settings.maxDocuments}). ` +
+          'Pass "skipSnapshot": true, confirmed with "confirm", to run without a snapshot');
+      }
+      
+      const schemaRecord = await this.getSchemaMetadata(target).findOne({ _id: collectionName });
+      manifest = {
+        id: createSnapshotId(),
+        kind: filter ? 'documents' : 'collection',
+        reason,
+        connection: target.profileName,
+        database: target.databaseName,
+        collectionName,
+        documentCount,
+        createdAt: new Date(),
+        storage: settings.destination === 'files' ? settings.format : 'database',
+        filter: filter ? EJSON.serialize(filter, { relaxed: false }) : null,
+        options: EJSON.serialize(info.options || {}, { relaxed: false }),
+        indexes: EJSON.serialize(await collection.indexes(), { relaxed: false }),
+        schemaRecord: schemaRecord ? EJSON.serialize(schemaRecord, { relaxed: false }) : null
+      };
+      
+      const documents = filter ? Model.find(filter).lean().cursor() : collection.find({});
+      await this.writeSnapshot(target, manifest, documents, settings);
+    } catch (error) {
+      if (manifest) {
+        await this.deleteSnapshot(target, manifest, settings).catch(() => {});
+      }
+      throw new Error(`Snapshot failed, nothing was changed: ${error.message}`);
+    }
+    
+    const expired = selectSnapshotsToPrune(
+      await this.listSnapshotManifests(target, settings, { collectionName }).catch(() => []),
+      { keepPerCollection: settings.maxPerCollection, olderThanDays: settings.maxAgeDays }
+    ).filter(old => old.id !== manifest.id);
+    for (const old of expired) {
+      await this.deleteSnapshot(target, old, settings)
+        .catch(error => process.stderr.write(`[Snapshots] Could not prune ${old.id}: ${error.message}\n`));
+    }
+    
+    return manifest;
+  }
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      try {
-        await this.ensureConnected();
-        
-        switch (request.params.name) {
-          // Original DSA Question Tools
-          case 'add_dsa_question':
-            return await this.addDsaQuestion(request.params.arguments);
-          case 'get_dsa_questions':
-            return await this.getDsaQuestions(request.params.arguments);
-          case 'get_collection_stats':
-            return await this.getCollectionStats();
-          
-          // New Generic Collection Tools
-          case 'get_all_collections':
-            return await this.getAllCollections();
-          case 'create_collection':
-            return await this.createCollection(request.params.arguments);
-          case 'delete_collection':
-            return await this.deleteCollection(request.params.arguments);
-          case 'get_documents':
-            return await this.getDocuments(request.params.arguments);
-          case 'add_document':
-            return await this.addDocument(request.params.arguments);
-          case 'update_collection_name':
-            return await this.updateCollectionName(request.params.arguments);
-          
-          default:
-            throw new McpError(
-              ErrorCode.MethodNotFound,
-              `Unknown tool: ${request.params.name}`
-            );
+  async writeSnapshot(target, manifest, documents, settings) {
+    const { id, filter, options, indexes, schemaRecord, storage, ...summary } = manifest;
+    
+    if (settings.destination === 'files') {
+      const directory = path.join(settings.directory, manifest.id);
+      await fs.promises.mkdir(directory, { recursive: true });
+      const stream = fs.createWriteStream(path.join(directory, storage === 'bson' ? 'documents.bson' : 'documents.jsonl'));
+      for await (const document of documents) {
+        const chunk = storage === 'bson'
+          ? mongoose.mongo.BSON.serialize(document)
+          : `${EJSON.stringify(document, { relaxed: false })}\n`;
+        if (!stream.write(chunk)) {
+          await once(stream, 'drain');
         }
-      } catch (error) {
-        throw new McpError(
-          ErrorCode.InternalError,
-          `Tool execution failed: ${error.message}`
-        );
       }
+      stream.end();
+      await once(stream, 'finish');
+      // Written last: a directory without a manifest is an incomplete snapshot
+      await fs.promises.writeFile(
+        path.join(directory, 'manifest.json'),
+        JSON.stringify({ ...manifest, createdAt: manifest.createdAt.toISOString() }, null, 2),
+        'utf8'
+      );
+      return;
+    }
+    
+    const store = this.getSnapshotStore(target);
+    const data = store.collection(id);
+    let batch = [];
+    for await (const document of documents) {
+      batch.push(document);
+      if (batch.length >= SNAPSHOT_BATCH_SIZE) {
+        await data.insertMany(batch, { ordered: false });
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await data.insertMany(batch, { ordered: false });
+    }
+    // Options, indexes and filters hold "$" keys, so they are kept as JSON text
+    await store.collection('manifests').insertOne({
+      _id: id,
+      ...summary,
+      details: JSON.stringify({ filter, options, indexes, schemaRecord, storage })
     });
   }
 
-  async ensureConnected() {
-    if (mongoose.connection.readyState !== 1) {
-      await mongoose.connect(config.mongodb.uri, config.mongodb.options || {});
-      // console.log('Connected to MongoDB');
+  async listSnapshotManifests(target, settings, { collectionName, id } = {}) {
+    let manifests = [];
+    
+    if (settings.destination === 'files') {
+      const entries = await fs.promises.readdir(settings.directory).catch(() => []);
+      for (const entry of entries) {
+        if (id ? entry !== id : !entry.startsWith('snap_')) {
+          continue;
+        }
+        const text = await fs.promises.readFile(path.join(settings.directory, entry, 'manifest.json'), 'utf8').catch(() => null);
+        if (text) {
+          const manifest = JSON.parse(text);
+          manifests.push({ ...manifest, createdAt: new Date(manifest.createdAt) });
+        }
+      }
+    } else {
+      const query = {};
+      if (id) query._id = id;
+      const records = await this.getSnapshotStore(target).collection('manifests').find(query).toArray();
+      manifests = records.map(({ _id, details, ...summary }) => ({ id: _id, ...summary, ...JSON.parse(details) }));
+    }
+    
+    return manifests
+      .filter(manifest => !collectionName || manifest.collectionName === collectionName)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  readSnapshotDocuments(target, manifest, settings) {
+    const directory = path.join(settings.directory, manifest.id);
+    if (manifest.storage === 'bson') {
+      return readBsonDocuments(path.join(directory, 'documents.bson'));
+    }
+    if (manifest.storage === 'ejson') {
+      return readEjsonLines(path.join(directory, 'documents.jsonl'));
+    }
+    return this.getSnapshotStore(target).collection(manifest.id).find({});
+  }
+
+  async deleteSnapshot(target, manifest, settings) {
+    if (manifest.storage === 'database') {
+      const store = this.getSnapshotStore(target);
+      await store.collection(manifest.id).drop().catch(error => {
+        if (error.codeName !== 'NamespaceNotFound') throw error;
+      });
+      await store.collection('manifests').deleteOne({ _id: manifest.id });
+    } else {
+      await fs.promises.rm(path.join(settings.directory, manifest.id), { recursive: true, force: true });
     }
   }
 
-  // Original DSA Question Methods
-  async addDsaQuestion(args) {
-    const { question } = args;
+  async listSnapshots(args, target) {
+    const { collectionName, limit = 20 } = args;
+    const settings = getSnapshotSettings(this.config);
     
     try {
-      const newQuestion = new Question(question);
-      const savedQuestion = await newQuestion.save();
+      const manifests = (await this.listSnapshotManifests(target, settings, { collectionName })).slice(0, clampLimit(this.config, limit));
+      const snapshots = manifests.map(summarizeSnapshot);
       
       return {
-        content: [
-          {
-            type: 'text',
-            text: `Successfully added DSA question: ${savedQuestion.name}\nID: ${savedQuestion._id}\nCreated at: ${savedQuestion.createdAt}`
-          }
-        ]
+        content: [{
+          type: 'text',
+          text: snapshots.length === 0
+            ? `No snapshots found${collectionName ? ` for ${collectionName}` : ''}`
+            : `**Snapshots** (${settings.destination}, newest first):\n\n${snapshots.map(snapshot =>
+              `• **${snapshot.id}**: ${snapshot.kind} snapshot of ${snapshot.connection}/${snapshot.database}/${snapshot.collectionName} ` +
+              `before ${snapshot.reason} (${snapshot.documentCount} documents, ${snapshot.createdAt})`
+            ).join('\n')}`
+        }],
+        structuredContent: {
+          destination: settings.destination,
+          snapshots,
+          count: snapshots.length
+        }
       };
     } catch (error) {
-      throw new Error(`Failed to add question: ${error.message}`);
+      throw new Error(`Failed to list snapshots: ${error.message}`);
     }
   }
 
-  async getDsaQuestions(args = {}) {
-    const { filter = {}, limit = 10 } = args;
+  async restoreSnapshot(args, target) {
+    const { snapshotId } = args;
+    const settings = getSnapshotSettings(this.config);
     
     try {
-      let query = {};
+      assertSnapshotId(snapshotId);
+      const [manifest] = await this.listSnapshotManifests(target, settings, { id: snapshotId });
+      if (!manifest) {
+        throw new Error(`Snapshot "${snapshotId}" not found`);
+      }
       
-      if (filter.level) {
-        query.level = filter.level;
+      const collectionName = args.targetName || manifest.collectionName;
+      if (!isCollectionAllowed(this.config, collectionName)) {
+        throw new Error(`access to collection "${collectionName}" is not allowed`);
       }
+      const mode = args.mode || (manifest.kind === 'collection' ? 'create' : 'upsert');
+      // Back into the database the snapshot came from unless another one is named
+      const restoreTarget = args.database
+        ? target
+        : await this.resolveTarget({ connection: args.connection || manifest.connection, database: manifest.database });
+      const db = restoreTarget.connection.db;
       
-      if (filter.datastructure) {
-        query.datastructure = { $in: [filter.datastructure] };
+      if (mode === 'create') {
+        if (await this.collectionExists(restoreTarget, collectionName)) {
+          throw new Error(`Collection "${collectionName}" already exists; pick another targetName or use mode "upsert"`);
+        }
+        await db.createCollection(collectionName, EJSON.deserialize(manifest.options));
       }
       
-      if (filter.algorithm) {
-        query.algorithm = { $in: [filter.algorithm] };
+      const collection = db.collection(collectionName);
+      let restoredCount = 0;
+      let batch = [];
+      const flush = async () => {
+        if (batch.length === 0) {
+          return;
+        }
+        if (mode === 'create') {
+          await collection.insertMany(batch, { ordered: false, bypassDocumentValidation: true });
+        } else {
+          await collection.bulkWrite(
+            batch.map(document => ({ replaceOne: { filter: { _id: document._id }, replacement: document, upsert: true } })),
+            { ordered: false, bypassDocumentValidation: true }
+          );
+        }
+        restoredCount += batch.length;
+        batch = [];
+      };
+      for await (const document of this.readSnapshotDocuments(target, manifest, settings)) {
+        batch.push(document);
+        if (batch.length >= SNAPSHOT_BATCH_SIZE) {
+          await flush();
+        }
       }
+      await flush();
       
-      const questions = await Question.find(query).limit(limit).sort({ createdAt: -1 });
+      // A new collection also gets the indexes and stored schema back
+      let indexesCreated = 0;
+      if (mode === 'create') {
+        const indexes = EJSON.deserialize(manifest.indexes)
+          .filter(index => index.name !== '_id_' && !index.clustered)
+          .map(({ v, ns, ...spec }) => spec);
+        if (indexes.length > 0) {
+          await collection.createIndexes(indexes);
+        }
+        indexesCreated = indexes.length;
+        
+        if (manifest.schemaRecord) {
+          const { _id, ...record } = EJSON.deserialize(manifest.schemaRecord);
+          await this.getSchemaMetadata(restoreTarget).replaceOne(
+            { _id: collectionName },
+            { ...record, updatedAt: new Date() },
+            { upsert: true }
+          );
+          this.registerSchemaModel(restoreTarget, collectionName, record.definition);
+        }
+      }
       
       return {
-        content: [
-          {
-            type: 'text',
-            text: `Found ${questions.length} DSA questions:\n\n${questions.map(q => 
-              `**${q.name}** (${q.level})\n` +
-              `ID: ${q._id}\n` +
-              `Data Structures: ${q.datastructure.join(', ')}\n` +
-              `Algorithms: ${q.algorithm.join(', ')}\n` +
-              `Test Cases: ${q.testcases.length}\n` +
-              `Created: ${q.createdAt.toLocaleDateString()}\n`
-            ).join('\n')}`
-          }
-        ]
+        content: [{
+          type: 'text',
+          text: `Successfully restored snapshot **${snapshotId}** into **${restoreTarget.databaseName}.${collectionName}** (${mode})\n\n` +
+                `**Documents:** ${restoredCount}\n` +
+                `**Indexes created:** ${indexesCreated}`
+        }],
+        structuredContent: {
+          snapshotId,
+          collectionName,
+          database: restoreTarget.databaseName,
+          mode,
+          restoredCount,
+          indexesCreated
+        }
       };
     } catch (error) {
-      throw new Error(`Failed to get questions: ${error.message}`);
+      throw new Error(`Failed to restore snapshot ${snapshotId}: ${error.message}`);
     }
   }
 
-  async getCollectionStats() {
+  async pruneSnapshots(args, target) {
+    const { snapshotIds, dryRun = false } = args;
+    const settings = getSnapshotSettings(this.config);
+    
     try {
-      const totalQuestions = await Question.countDocuments();
-      const levelStats = await Question.aggregate([
-        { $group: { _id: '$level', count: { $sum: 1 } } }
-      ]);
-      
-      const dsStats = await Question.aggregate([
-        { $unwind: '$datastructure' },
-        { $group: { _id: '$datastructure', count: { $sum: 1 } } },
-        { $sort: { count: -1 } },
-        { $limit: 10 }
-      ]);
-      
-      const algoStats = await Question.aggregate([
-        { $unwind: '$algorithm' },
-        { $group: { _id: '$algorithm', count: { $sum: 1 } } },
-        { $sort: { count: -1 } },
-        { $limit: 10 }
-      ]);
+      const manifests = await this.listSnapshotManifests(target, settings);
+      let pruned;
+      if (snapshotIds) {
+        snapshotIds.forEach(assertSnapshotId);
+        const missing = snapshotIds.filter(id => !manifests.some(manifest => manifest.id === id));
+        if (missing.length > 0) {
+          throw new Error(`Snapshots not found: ${missing.join(', ')}`);
+        }
+        pruned = manifests.filter(manifest => snapshotIds.includes(manifest.id));
+      } else {
+        pruned = selectSnapshotsToPrune(manifests, {
+          keepPerCollection: args.keepPerCollection ?? settings.maxPerCollection,
+          olderThanDays: args.olderThanDays ?? settings.maxAgeDays
+        });
+      }
       
-      const levelBreakdown = levelStats.map(stat => `${stat._id}: ${stat.count}`).join(', ');
-      const topDataStructures = dsStats.map(stat => `${stat._id}: ${stat.count}`).join(', ');
-      const topAlgorithms = algoStats.map(stat => `${stat._id}: ${stat.count}`).join(', ');
+      if (!dryRun) {
+        for (const manifest of pruned) {
+          await this.deleteSnapshot(target, manifest, settings);
+        }
+      }
       
       return {
-        content: [
-          {
-            type: 'text',
-            text: `**DsaQuestions Collection Stats**\n\n` +
-                  `Total Questions: ${totalQuestions}\n\n` +
-                  `**Level Distribution:**\n${levelBreakdown}\n\n` +
-                  `**Top Data Structures:**\n${topDataStructures}\n\n` +
-                  `**Top Algorithms:**\n${topAlgorithms}`
-          }
-        ]
+        content: [{
+          type: 'text',
+          text: pruned.length === 0
+            ? 'No snapshots to prune'
+            : `${dryRun ? '**Dry run:** would prune' : 'Pruned'} ${pruned.length} snapshot(s):\n\n` +
+              pruned.map(manifest => `• ${manifest.id} (${manifest.collectionName}, ${manifest.createdAt.toISOString()})`).join('\n')
+        }],
+        structuredContent: {
+          dryRun,
+          pruned: pruned.map(summarizeSnapshot),
+          count: pruned.length
+        }
       };
     } catch (error) {
-      throw new Error(`Failed to get collection stats: ${error.message}`);
+      throw new Error(`Failed to prune snapshots: ${error.message}`);
     }
   }
 
-  // New Generic Collection Methods
-  async getAllCollections() {
+  // Change streams
+  
+  async subscribeCollection(args, target, server) {
+    const { collectionName, pipeline = [], fullDocument = 'default', resume = true } = args;
+    const settings = getChangeStreamSettings(this.config);
+    
     try {
-      const collections = await mongoose.connection.db.listCollections().toArray();
-      const collectionInfo = collections.map(col => ({
-        name: col.name,
-        type: col.type || 'collection'
-      }));
+      validateChangeStreamPipeline(pipeline);
+      const open = [...this.subscriptions.values()].filter(subscription => subscription.server === server);
+      if (open.length >= settings.maxSubscriptions) {
+        throw new Error(`This session already has ${open.length} subscriptions (changeStreams.maxSubscriptions); unsubscribe from one first`);
+      }
       
-      return {
-        content: [
-          {
-            type: 'text',
-            text: `**All Collections in Database:**\n\n${collectionInfo.map(col => 
-              `• ${col.name} (${col.type})`
-            ).join('\n')}\n\nTotal: ${collectionInfo.length} collections`
-          }
-        ]
+      const key = changeStreamKey(target, collectionName, pipeline);
+      const tokens = target.connection.db.collection(settings.tokenCollection);
+      const stored = resume ? await tokens.findOne({ _id: key }) : null;
+      const collection = target.connection.db.collection(collectionName);
+      
+      // Pulling the first batch surfaces errors (standalone server, expired token)
+      // here instead of in the background reader
+      const openStream = async (resumeToken) => {
+        const stream = collection.watch(pipeline, { fullDocument, ...(resumeToken && { startAfter: resumeToken }) });
+        try {
+          return { stream, first: await stream.tryNext() };
+        } catch (error) {
+          await stream.close().catch(() => {});
+          throw error;
+        }
       };
-    } catch (error) {
-      throw new Error(`Failed to get collections: ${error.message}`);
-    }
-  }
-
-  async createCollection(args) {
-    const { collectionName, schema } = args;
-    
-    try {
-      const mongooseSchema = createDynamicSchema(schema);
-      const Model = mongoose.model(collectionName, mongooseSchema, collectionName);
-      this.dynamicModels.set(collectionName, Model);
       
-      // Create the collection
-      await Model.createCollection();
+      let resumed = Boolean(stored);
+      let opened;
+      try {
+        opened = await openStream(stored?.resumeToken);
+      } catch (error) {
+        if (!stored || !isResumeTokenLostError(error)) throw error;
+        process.stderr.write(`[Change streams] Cannot resume ${collectionName} from the stored token, starting from now: ${error.message}\n`);
+        resumed = false;
+        opened = await openStream(null);
+      }
+      
+      const subscription = {
+        id: createSubscriptionId(),
+        server,
+        key,
+        tokens,
+        stream: opened.stream,
+        connection: target.profileName,
+        database: target.databaseName,
+        collectionName,
+        pipeline,
+        bufferSize: settings.bufferSize,
+        buffer: [],
+        eventCount: 0,
+        resumeToken: resumed ? stored.resumeToken : null,
+        flushTimer: null,
+        error: null,
+        closed: false
+      };
+      this.subscriptions.set(subscription.id, subscription);
+      if (opened.first) {
+        this.handleChange(subscription, opened.first);
+      }
+      this.readChanges(subscription);
       
       return {
         content: [{
           type: 'text',
-          text: `Successfully created collection: **${collectionName}**\n\n**Schema:**\n${JSON.stringify(schema, null, 2)}`
-        }]
+          text: `Subscribed to ${target.databaseName}.${collectionName} as **${subscription.id}**` +
+                `${resumed ? ' (resumed from the stored token)' : ''}. ` +
+                `Changes are sent as log notifications and can be fetched with get_recent_changes.`
+        }],
+        structuredContent: {
+          subscriptionId: subscription.id,
+          collectionName,
+          database: target.databaseName,
+          resumed,
+          resumeToken: (opened.stream.resumeToken ?? subscription.resumeToken)?._data ?? null
+        }
       };
     } catch (error) {
-      throw new Error(`Failed to create collection: ${error.message}`);
+      const message = isReplicaSetRequiredError(error)
+        ? 'change streams need a replica set or sharded cluster (locally: mongod --replSet rs0, then rs.initiate() in mongosh)'
+        : error.message;
+      throw new Error(`Failed to subscribe to collection: ${message}`);
     }
   }
-
-  async deleteCollection(args) {
-    const { collectionName } = args;
+  
+  async unsubscribeCollection(args, server) {
+    const { subscriptionId, forgetResumeToken = false } = args;
     
     try {
-      await mongoose.connection.db.dropCollection(collectionName);
-      this.dynamicModels.delete(collectionName);
+      const subscription = this.getSubscription(subscriptionId, server);
+      await this.closeSubscription(subscription, { forgetResumeToken });
+      const resumeToken = forgetResumeToken ? null : ((subscription.stream.resumeToken ?? subscription.resumeToken)?._data ?? null);
       
       return {
         content: [{
           type: 'text',
-          text: `Successfully deleted collection: **${collectionName}** and all its documents`
-        }]
+          text: `Unsubscribed ${subscriptionId} from ${subscription.database}.${subscription.collectionName} after ${subscription.eventCount} event(s)` +
+                `${forgetResumeToken ? '; the stored resume token was deleted' : ''}`
+        }],
+        structuredContent: {
+          subscriptionId,
+          eventCount: subscription.eventCount,
+          resumeToken
+        }
       };
     } catch (error) {
-      if (error.message.includes('ns not found')) {
-        throw new Error(`Collection "${collectionName}" does not exist`);
-      }
-      throw new Error(`Failed to delete collection: ${error.message}`);
+      throw new Error(`Failed to unsubscribe: ${error.message}`);
     }
   }
-
-  async getDocuments(args) {
-    const { collectionName, filter = {}, limit = 10, sort = { createdAt: -1 } } = args;
+  
+  async getRecentChanges(args, server) {
+    const { subscriptionId, sinceToken, limit = 50 } = args;
     
     try {
-      let Model = this.dynamicModels.get(collectionName);
-      
-      if (!Model) {
-        // Create a generic model for existing collections
-        const genericSchema = new mongoose.Schema({}, { strict: false, timestamps: true });
-        Model = mongoose.model(collectionName + '_Generic', genericSchema, collectionName);
-        this.dynamicModels.set(collectionName, Model);
+      const subscription = this.getSubscription(subscriptionId, server);
+      let events = subscription.buffer;
+      let gap = false;
+      if (sinceToken) {
+        const index = events.findIndex(event => event.token === sinceToken);
+        // An unknown token was either dropped from the buffer or never part of it
+        gap = index === -1;
+        events = gap ? events : events.slice(index + 1);
       }
-      
-      const documents = await Model.find(filter).limit(limit).sort(sort).lean();
+      const budget = budgetDocuments(this.config, events.slice(0, clampLimit(this.config, limit)));
+      const page = budget.documents;
+      const lastToken = page.length > 0 ? page[page.length - 1].token : (sinceToken || null);
       
       return {
         content: [{
           type: 'text',
-          text: `**Found ${documents.length} documents in "${collectionName}":**\n\n${JSON.stringify(documents, null, 2)}`
-        }]
+          text: [
+            `**Changes for ${subscriptionId}** (${subscription.database}.${subscription.collectionName}): ${page.length} event(s)` +
+              `${events.length > page.length ? `, ${events.length - page.length} more` : ''}`,
+            gap ? `Warning: ${sinceToken} is no longer buffered, some events may have been missed` : null,
+            subscription.error ? `Warning: the change stream stopped: ${subscription.error}` : null,
+            ...page.map(event => `• ${event.operationType} ${JSON.stringify(event.documentKey ?? {})} (${event.token})`)
+          ].filter(Boolean).join('\n') + formatBudgetNote(budget)
+        }],
+        structuredContent: {
+          subscriptionId,
+          events: page,
+          count: page.length,
+          hasMore: events.length > page.length,
+          gap,
+          lastToken,
+          error: subscription.error,
+          ...budgetOutput(budget)
+        }
       };
     } catch (error) {
-      throw new Error(`Failed to get documents from ${collectionName}: ${error.message}`);
+      throw new Error(`Failed to get recent changes: ${error.message}`);
     }
   }
-
-  async addDocument(args) {
-    const { collectionName, document } = args;
-    
+  
+  // Subscriptions belong to the session that opened them
+  getSubscription(subscriptionId, server) {
+    const subscription = this.subscriptions.get(subscriptionId);
+    if (!subscription || subscription.server !== server) {
+      throw new Error(`Subscription "${subscriptionId}" not found in this session`);
+    }
+    return subscription;
+  }
+  
+  // Runs until the stream is closed; the driver resumes by itself after transient errors
+  async readChanges(subscription) {
     try {
-      let Model = this.dynamicModels.get(collectionName);
-      
-      if (!Model) {
-        const genericSchema = new mongoose.Schema({}, { strict: false, timestamps: true });
-        Model = mongoose.model(collectionName + '_Add', genericSchema, collectionName);
-        this.dynamicModels.set(collectionName, Model);
+      for await (const change of subscription.stream) {
+        this.handleChange(subscription, change);
       }
-      
-      const newDoc = new Model(document);
-      const savedDoc = await newDoc.save();
-      
-      return {
-        content: [{
-          type: 'text',
-          text: `Successfully added document to **${collectionName}**:\n\n**Document ID:** ${savedDoc._id}\n**Created:** ${savedDoc.createdAt}\n\n**Data:**\n${JSON.stringify(savedDoc.toObject(), null, 2)}`
-        }]
-      };
     } catch (error) {
-      throw new Error(`Failed to add document to ${collectionName}: ${error.message}`);
+      if (!subscription.closed) {
+        subscription.error = error.message;
+        this.notifySubscriber(subscription, 'error', { subscriptionId: subscription.id, error: error.message });
+        await this.saveResumeToken(subscription).catch(() => {});
+      }
+    }
+  }
+  
+  handleChange(subscription, change) {
+    const event = summarizeChange(this.config, change);
+    subscription.buffer.push(event);
+    if (subscription.buffer.length > subscription.bufferSize) {
+      subscription.buffer.shift();
+    }
+    subscription.eventCount++;
+    subscription.resumeToken = change._id;
+    const [data] = budgetDocuments(this.config, [{ subscriptionId: subscription.id, ...event }]).documents;
+    this.notifySubscriber(subscription, getChangeStreamSettings(this.config).notificationLevel, data);
+    
+    // Tokens are written at most once per tokenFlushMs, not once per event
+    if (!subscription.flushTimer) {
+      subscription.flushTimer = setTimeout(() => {
+        subscription.flushTimer = null;
+        this.saveResumeToken(subscription).catch(error =>
+          process.stderr.write(`[Change streams] Could not store the resume token of ${subscription.id}: ${error.message}\n`));
+      }, getChangeStreamSettings(this.config).tokenFlushMs);
+      subscription.flushTimer.unref();
+    }
+  }
+  
+  notifySubscriber(subscription, level, data) {
+    const { server } = subscription;
+    if (LOGGING_LEVELS.indexOf(level) < LOGGING_LEVELS.indexOf(server.loggingLevel)) {
+      return;
+    }
+    server.sendLoggingMessage({ level, logger: `mongodb/${subscription.database}/${subscription.collectionName}`, data })
+      .catch(error => process.stderr.write(`[Change streams] Could not notify ${subscription.id}: ${error.message}\n`));
+  }
+  
+  async saveResumeToken(subscription) {
+    // The stream's own token also moves forward on empty batches
+    const resumeToken = subscription.stream.resumeToken ?? subscription.resumeToken;
+    if (!resumeToken) {
+      return;
+    }
+    await subscription.tokens.updateOne(
+      { _id: subscription.key },
+      {
+        $set: {
+          resumeToken,
+          connection: subscription.connection,
+          database: subscription.database,
+          collectionName: subscription.collectionName,
+          // Stored as text: pipelines contain "$" keys
+          pipeline: JSON.stringify(toEJSON(this.config, subscription.pipeline)),
+          updatedAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+  }
+  
+  async closeSubscription(subscription, { forgetResumeToken = false } = {}) {
+    subscription.closed = true;
+    clearTimeout(subscription.flushTimer);
+    this.subscriptions.delete(subscription.id);
+    await subscription.stream.close();
+    if (forgetResumeToken) {
+      await subscription.tokens.deleteOne({ _id: subscription.key });
+    } else {
+      await this.saveResumeToken(subscription);
+    }
+  }
+  
+  // Closes the subscriptions of one session, or all of them on shutdown
+  async closeSubscriptions(server) {
+    const subscriptions = [...this.subscriptions.values()].filter(subscription => !server || subscription.server === server);
+    await Promise.allSettled(subscriptions.map(subscription => this.closeSubscription(subscription)));
+  }
+  
+  // Audit log
+  
+  // Never throws: a failing audit destination must not fail the tool call
+  recordAudit({ name, args, target, started, result, error }) {
+    const settings = getAuditSettings(this.config);
+    if (!settings.enabled) {
+      return;
+    }
+    
+    let collections = [];
+    try {
+      collections = (this.getToolPolicy(name)?.collections?.(args) || []).filter(Boolean);
+    } catch (policyError) {
+      // Malformed arguments; the entry is still worth keeping
+    }
+    
+    let loggedArgs = {};
+    try {
+      loggedArgs = redactToolArguments(this.config, args, collections[0]);
+    } catch (redactionError) {
+      // Invalid redaction rules: keep no arguments rather than unredacted ones
     }
+    
+    const entry = {
+      timestamp: new Date(started),
+      tool: name,
+      arguments: EJSON.serialize(redactForAudit(loggedArgs, settings), { relaxed: true }),
+      collections,
+      connection: target?.profileName || args.connection || (this.isToolUntargeted(name) ? null : getDefaultConnectionName(this.config)),
+      database: target?.databaseName || args.database || null,
+      durationMs: Date.now() - started,
+      // Tools that report failure in their result (run_batch rollbacks) count as failed too
+      success: !error && !result?.isError,
+      error: error
+        ? error.message.replace(/^MCP error -?\d+: /, '')
+        : result?.isError ? String(result.structuredContent?.error || result.content?.[0]?.text || 'Tool reported an error') : null,
+      counts: auditCounts(result)
+    };
+    
+    const write = settings.destination === 'file'
+      ? this.appendAuditFile(entry, settings)
+      : this.insertAuditEntry(entry, settings);
+    write.catch(auditError => process.stderr.write(`[Audit] Could not record ${name}: ${auditError.message}\n`));
   }
 
-  async updateCollectionName(args) {
-    const { oldName, newName } = args;
+  // The capped collection lives in the default database and is created on first use
+  async getAuditCollection(settings) {
+    if (!this.auditCollection) {
+      this.auditCollection = (async () => {
+        const { connection } = await this.resolveTarget();
+        try {
+          await connection.db.createCollection(settings.collection, { capped: true, size: settings.cappedSizeBytes });
+        } catch (error) {
+          if (error.code !== 48) throw error; // NamespaceExists
+        }
+        const collection = connection.db.collection(settings.collection);
+        await collection.createIndex({ tool: 1, timestamp: -1 });
+        return collection;
+      })();
+      this.auditCollection.catch(() => { this.auditCollection = null; });
+    }
+    return this.auditCollection;
+  }
+
+  async insertAuditEntry(entry, settings) {
+    // Arguments are stored as JSON text: filters contain "$" keys that cannot be field names
+    const collection = await this.getAuditCollection(settings);
+    await collection.insertOne({ ...entry, arguments: JSON.stringify(entry.arguments) });
+  }
+
+  appendAuditFile(entry, settings) {
+    const line = `${JSON.stringify({ ...entry, timestamp: entry.timestamp.toISOString() })}\n`;
+    this.auditQueue = this.auditQueue.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(path.dirname(settings.file), { recursive: true });
+      const size = await fs.promises.stat(settings.file).then(stat => stat.size, () => 0);
+      if (size > 0 && size + Buffer.byteLength(line) > settings.maxFileBytes) {
+        // audit.jsonl -> audit.jsonl.1 -> audit.jsonl.2 ... the oldest falls off
+        await fs.promises.rm(`${settings.file}.${settings.maxFiles - 1}`, { force: true });
+        for (let index = settings.maxFiles - 2; index >= 1; index--) {
+          await fs.promises.rename(`${settings.file}.${index}`, `${settings.file}.${index + 1}`).catch(() => {});
+        }
+        await fs.promises.rename(settings.file, `${settings.file}.1`);
+      }
+      await fs.promises.appendFile(settings.file, line, 'utf8');
+    });
+    return this.auditQueue;
+  }
+
+  async readAuditFile(filter, limit, settings) {
+    await this.auditQueue.catch(() => {});
+    const entries = [];
+    // Current file first, then the rotated ones from newest to oldest
+    const files = [settings.file, ...Array.from({ length: settings.maxFiles - 1 }, (_, index) => `${settings.file}.${index + 1}`)];
+    for (const file of files) {
+      const text = await fs.promises.readFile(file, 'utf8').catch(() => null);
+      if (text === null) {
+        continue;
+      }
+      const lines = text.split('\n').filter(Boolean).reverse();
+      for (const line of lines) {
+        try {
+          const entry = JSON.parse(line);
+          if (matchesAuditFilter(entry, filter)) {
+            entries.push(entry);
+            if (entries.length >= limit) {
+              return entries;
+            }
+          }
+        } catch (error) {
+          // A partially written line; skip it
+        }
+      }
+    }
+    return entries;
+  }
+
+  async getAuditLog(args) {
+    const { tool, collectionName, success, limit = 50 } = args;
+    const settings = getAuditSettings(this.config);
     
     try {
-      await mongoose.connection.db.collection(oldName).rename(newName);
+      const since = args.since ? new Date(args.since) : null;
+      const until = args.until ? new Date(args.until) : null;
+      if ((since && isNaN(since)) || (until && isNaN(until))) {
+        throw new Error('"since" and "until" must be ISO dates');
+      }
+      const pageLimit = clampLimit(this.config, limit);
+      // Calls on collections the policy hides stay out, arguments included
+      const isCollectionVisible = (name) => isCollectionAllowed(this.config, name);
       
-      // Update model mapping
-      const model = this.dynamicModels.get(oldName);
-      if (model) {
-        this.dynamicModels.delete(oldName);
-        this.dynamicModels.set(newName, model);
+      let entries;
+      if (settings.destination === 'file') {
+        entries = await this.readAuditFile({ tool, collectionName, since, until, success, isCollectionVisible }, pageLimit, settings);
+      } else {
+        const query = {};
+        if (tool) query.tool = tool;
+        if (collectionName) query.collections = collectionName;
+        if (success !== undefined) query.success = success;
+        if (since || until) {
+          query.timestamp = { ...(since && { $gte: since }), ...(until && { $lte: until }) };
+        }
+        const collection = await this.getAuditCollection(settings);
+        entries = [];
+        for await (const entry of collection.find(query, { projection: { _id: 0 } }).sort({ timestamp: -1 })) {
+          if (!entry.collections.every(isCollectionVisible)) {
+            continue;
+          }
+          entries.push({ ...entry, timestamp: entry.timestamp.toISOString(), arguments: JSON.parse(entry.arguments) });
+          if (entries.length >= pageLimit) {
+            break;
+          }
+        }
       }
+      // Entries written before a rule was added are redacted on the way out as well
+      entries = entries.map(entry => ({ ...entry, arguments: redactToolArguments(this.config, entry.arguments, entry.collections[0]) }));
       
       return {
         content: [{
           type: 'text',
-          text: `Successfully renamed collection from **${oldName}** to **${newName}**`
-        }]
+          text: entries.length === 0
+            ? `No audit entries match (${settings.destination})`
+            : `**Audit log** (${entries.length} entries, newest first):\n\n${entries.map(entry =>
+              `${entry.success ? '✅' : '❌'} ${entry.timestamp} **${entry.tool}**` +
+              (entry.collections.length > 0 ? ` on ${entry.collections.join(', ')}` : '') +
+              (entry.connection ? ` [${entry.connection}${entry.database ? `/${entry.database}` : ''}]` : '') +
+              ` ${entry.durationMs} ms` +
+              (Object.keys(entry.counts || {}).length > 0
+                ? ` | ${Object.entries(entry.counts).map(([key, value]) => `${key}: ${value}`).join(', ')}`
+                : '') +
+              (entry.error ? `\n   Error: ${entry.error}` : '')
+            ).join('\n')}`
+        }],
+        structuredContent: {
+          destination: settings.destination,
+          entries,
+          count: entries.length
+        }
       };
     } catch (error) {
-      if (error.message.includes('source namespace does not exist')) {
-        throw new Error(`Collection "${oldName}" does not exist`);
-      }
-      throw new Error(`Failed to rename collection: ${error.message}`);
+      throw new Error(`Failed to read audit log: ${error.message}`);
     }
   }
 
   async run() {
+    const transportConfig = getTransportConfig(this.config);
+    await this.loadPlugins();
+    
+    // Connect in the background so stored collection schemas are rebuilt at
+    // startup; a database that is down only fails the first tool call
+    this.resolveTarget().catch(error => {
+      process.stderr.write(`[Startup] Could not load stored schemas: ${error.message}\n`);
+    });
+    
+    if (transportConfig.type === 'http') {
+      await this.runHttp(transportConfig);
+      return;
+    }
+    
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
     // console.log('MongoDB MCP server running on stdio');
   }
+
+  async runHttp(transportConfig) {
+    const { host, port, path: endpoint, authTokens, allowUnauthenticated, maxBodyBytes, sessionIdleMs, maxSessions } = transportConfig;
+    
+    if (authTokens.length === 0 && !allowUnauthenticated) {
+      throw new Error('HTTP transport requires "transport.http.authTokens" (or MCP_AUTH_TOKEN). Set "allowUnauthenticated": true to run without auth');
+    }
+    
+    this.httpServer = http.createServer(async (req, res) => {
+      try {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== endpoint) {
+          sendJsonRpcError(res, 404, `Not found. The MCP endpoint is ${endpoint}`);
+          return;
+        }
+        
+        if (authTokens.length > 0 && !isAuthorized(req, authTokens)) {
+          res.setHeader('WWW-Authenticate', 'Bearer');
+          sendJsonRpcError(res, 401, 'Unauthorized');
+          return;
+        }
+        
+        const body = req.method === 'POST' ? await readJsonBody(req, maxBodyBytes) : undefined;
+        const sessionId = req.headers['mcp-session-id'];
+        let session = sessionId ? this.sessions.get(sessionId) : undefined;
+        
+        if (!session) {
+          if (sessionId) {
+            sendJsonRpcError(res, 404, `Session not found: ${sessionId}`);
+            return;
+          }
+          if (req.method !== 'POST' || !isInitializeRequest(body)) {
+            sendJsonRpcError(res, 400, 'Bad request: no session ID provided. Send an initialize request first');
+            return;
+          }
+          if (this.sessions.size >= maxSessions) {
+            sendJsonRpcError(res, 503, `Too many open sessions (${maxSessions}). Close a session or try again later`);
+            return;
+          }
+          session = await this.createHttpSession(transportConfig);
+        }
+        
+        // A GET stays open as the session's notification stream (change stream
+        // subscriptions push through it), so a session is never idle while one is
+        session.lastActive = Date.now();
+        session.openRequests++;
+        res.once('close', () => {
+          session.openRequests--;
+          session.lastActive = Date.now();
+        });
+        await session.transport.handleRequest(req, res, body);
+      } catch (error) {
+        process.stderr.write(`[HTTP Error] ${error.message}\n`);
+        sendJsonRpcError(res, 400, error.message);
+      }
+    });
+    
+    // Clients that disappear without a DELETE would otherwise keep their server forever
+    this.sessionSweep = setInterval(() => this.closeIdleSessions(sessionIdleMs), Math.min(sessionIdleMs, 60 * 1000));
+    this.sessionSweep.unref();
+    
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(port, host, resolve);
+    });
+    process.stderr.write(`MongoDB MCP server listening on http://${host}:${port}${endpoint}\n`);
+  }
+
+  async closeIdleSessions(idleMs) {
+    const cutoff = Date.now() - idleMs;
+    for (const [sessionId, session] of this.sessions) {
+      if (session.openRequests === 0 && session.lastActive < cutoff) {
+        // Closing the server closes its transport, whose onclose drops the session
+        await session.server.close().catch(error =>
+          process.stderr.write(`[HTTP] Could not close idle session ${sessionId}: ${error.message}\n`));
+        this.sessions.delete(sessionId);
+      }
+    }
+  }
+
+  async createHttpSession({ allowedOrigins }) {
+    const server = this.createServer();
+    const session = { server, transport: null, lastActive: Date.now(), openRequests: 0 };
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: (sessionId) => {
+        this.sessions.set(sessionId, session);
+      },
+      allowedOrigins,
+      enableDnsRebindingProtection: allowedOrigins.length > 0
+    });
+    
+    session.transport = transport;
+    
+    // Runs on DELETE, on idle expiry and on shutdown; server.onclose then closes
+    // the session's change stream subscriptions
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        this.sessions.delete(transport.sessionId);
+      }
+    };
+    
+    await server.connect(transport);
+    return session;
+  }
 }
 
-const server = new MongoMCPServer();
-server.run().catch(console.error);
\ No newline at end of file
+module.exports = { MongoMCPServer, loadConfig };
+
+// Pure helpers covered by the unit tests in test/; not part of the plugin API
+module.exports.internals = {
+  normalizeSort,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  redactDocuments,
+  redactFieldValue,
+  redactPipeline,
+  redactToolArguments,
+  assertCursorVisible,
+  createExampleRedactor,
+  createDynamicSchema,
+  inferSchema,
+  schemaToDefinition,
+  guardQueryArguments,
+  budgetDocuments,
+  TOOL_POLICIES,
+  applyToolPolicy,
+  enforceToolPolicy,
+  matchesAuditFilter
+};
+
+if (require.main === module) {
+  const server = new MongoMCPServer({ config: loadConfig() });
+  process.on('SIGINT', async () => {
+    await server.close();
+    process.exit(0);
+  });
+  server.run().catch(console.error);
+}
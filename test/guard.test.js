@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('../server');
+
+const { guardQueryArguments, budgetDocuments, encodeCursor, normalizeSort } = internals;
+
+const config = { query: { maxResponseBytes: 1000, maxStringLength: 100, maxArrayItems: 5, maxFields: 3 } };
+
+test('server-side JavaScript and long regular expressions are rejected', () => {
+  assert.throws(() => guardQueryArguments(config, { filter: { $where: 'sleep(1000)' } }), /\$where/);
+  assert.throws(() => guardQueryArguments(config, { pipeline: [{ $group: { _id: { $function: {} } } }] }), /\$function/);
+  assert.throws(() => guardQueryArguments(config, { filter: { name: { $regex: 'a'.repeat(500) } } }), /regular expression/i);
+  assert.doesNotThrow(() => guardQueryArguments(config, { filter: { name: { $regex: '^Ada' } }, projection: { name: 1 } }));
+});
+
+test('sort keys must be field paths with a direction', () => {
+  assert.doesNotThrow(() => guardQueryArguments(config, { sort: { createdAt: -1, 'profile.city': 'asc' } }));
+  assert.doesNotThrow(() => guardQueryArguments(config, { sort: { score: { $meta: 'textScore' } } }));
+  assert.throws(() => guardQueryArguments(config, { sort: { $where: 1 } }), /not a field path/);
+  assert.throws(() => guardQueryArguments(config, { sort: { 'a..b': 1 } }), /not a field path/);
+  assert.throws(() => guardQueryArguments(config, { sort: { a: { $function: {} } } }), /direction/);
+  assert.throws(() => guardQueryArguments(config, { sort: { a: 1, b: 1, c: 1, d: 1 } }), /query.maxFields/);
+  assert.throws(() => guardQueryArguments(config, { sort: [['a', 1]] }), /sort must be an object/);
+});
+
+test('field name arguments cannot smuggle in expressions', () => {
+  assert.doesNotThrow(() => guardQueryArguments(config, { fields: ['level', 'tags.name'], timeField: 'createdAt' }));
+  assert.throws(() => guardQueryArguments(config, { timeField: '$$ROOT' }), /timeField: .* is not a field path/);
+  assert.throws(() => guardQueryArguments(config, { fields: ['level', '$function'] }), /fields\[1\]/);
+  assert.throws(() => guardQueryArguments(config, { rangeFields: ['a', 'b', 'c', 'd'] }), /query.maxFields/);
+  assert.throws(() => guardQueryArguments(config, { fields: [{ $literal: 1 }] }), /not a field path/);
+});
+
+test('cursor values may only hold plain values', () => {
+  const sort = normalizeSort({ name: 1 });
+  const cursor = encodeCursor({ _id: 1, name: 'Ada', createdAt: new Date() }, sort);
+  assert.doesNotThrow(() => guardQueryArguments(config, { cursor }));
+  assert.doesNotThrow(() => guardQueryArguments(config, { cursor: encodeCursor({ _id: 2, name: new Date() }, sort) }));
+
+  const forged = (values) => Buffer.from(JSON.stringify({ sort, values })).toString('base64url');
+  assert.throws(() => guardQueryArguments(config, { cursor: forged([{ $ne: null }, 1]) }), /query operators/);
+  assert.throws(() => guardQueryArguments(config, { cursor: forged([{ nested: { $where: '1' } }, 1]) }), /query operators/);
+  assert.throws(() => guardQueryArguments(config, { cursor: 'x'.repeat(2000) }), /not returned by this server/);
+});
+
+test('long values are shortened and trailing documents left out', () => {
+  const documents = Array.from({ length: 20 }, (_, index) => ({ _id: index, text: 'x'.repeat(300), tags: [1, 2, 3, 4, 5, 6, 7] }));
+  const budget = budgetDocuments(config, documents);
+  assert.ok(budget.documents.length > 0 && budget.documents.length < 20);
+  assert.equal(budget.omitted, 20 - budget.documents.length);
+  assert.match(budget.documents[0].text, /truncated: 200 more characters/);
+  assert.equal(budget.documents[0].tags.length, 6);
+  assert.equal(budget.truncated, true);
+  assert.ok(Buffer.byteLength(JSON.stringify(budget.documents, null, 2)) <= config.query.maxResponseBytes);
+});
+
+test('a first document larger than the budget is cut down instead of sent whole', () => {
+  const wide = { _id: 1, ...Object.fromEntries(Array.from({ length: 10 }, (_, index) => [`field${index}`, 'y'.repeat(100)])) };
+  const fitted = budgetDocuments(config, [wide, { _id: 2 }]);
+  assert.equal(fitted.documents[0]._id, 1);
+  assert.ok(Buffer.byteLength(JSON.stringify(fitted.documents, null, 2)) <= config.query.maxResponseBytes);
+  assert.ok(fitted.shortened > 0);
+
+  const many = { _id: 3, ...Object.fromEntries(Array.from({ length: 200 }, (_, index) => [`field${index}`, index])) };
+  const stub = budgetDocuments(config, [many]);
+  assert.deepEqual(stub.documents, [{ _id: 3, truncated: '[document too large for the 1000-byte response budget]' }]);
+  assert.equal(stub.truncated, true);
+});
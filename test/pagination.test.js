@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('../server');
+
+const { normalizeSort, encodeCursor, decodeCursor, buildCursorFilter } = internals;
+
+// Just enough of MongoDB's matching and sort order to page through an array:
+// null and missing sort lowest, then numbers, strings, booleans and dates, and
+// $gt/$lt only compare values of the same type
+const TYPE_ALIASES = { null: 0, double: 1, int: 1, string: 2, bool: 7, date: 8 };
+
+const typeRank = (value) => {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'number') return 1;
+  if (typeof value === 'string') return 2;
+  if (typeof value === 'boolean') return 7;
+  if (value instanceof Date) return 8;
+  throw new Error(`Unsupported test value ${value}`);
+};
+
+const compareValues = (a, b) => {
+  const rank = typeRank(a) - typeRank(b);
+  if (rank !== 0 || a == null) {
+    return rank;
+  }
+  const [x, y] = a instanceof Date ? [a.getTime(), b.getTime()] : [a, b];
+  return x < y ? -1 : x > y ? 1 : 0;
+};
+
+const matchesCondition = (value, condition) => {
+  if (condition === null) {
+    return value == null;
+  }
+  if (typeof condition !== 'object' || condition instanceof Date) {
+    return compareValues(value, condition) === 0 && typeRank(value) === typeRank(condition);
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (operator === '$type') {
+      return value !== undefined && operand.some(alias => TYPE_ALIASES[alias] === typeRank(value));
+    }
+    const sameType = value != null && typeRank(value) === typeRank(operand);
+    if (operator === '$gt') return sameType && compareValues(value, operand) > 0;
+    if (operator === '$lt') return sameType && compareValues(value, operand) < 0;
+    throw new Error(`Unsupported operator ${operator}`);
+  });
+};
+
+const matches = (document, filter) => Object.entries(filter).every(([key, condition]) =>
+  key === '$or'
+    ? condition.some(branch => matches(document, branch))
+    : matchesCondition(document[key], condition));
+
+const sortDocuments = (documents, sort) => [...documents].sort((a, b) => {
+  for (const [field, direction] of Object.entries(sort)) {
+    const order = compareValues(a[field], b[field]) * direction;
+    if (order !== 0) {
+      return order;
+    }
+  }
+  return 0;
+});
+
+// Walks the collection two documents at a time the way findPage does
+const pageThrough = (documents, sort) => {
+  const pageSort = normalizeSort(sort);
+  const seen = [];
+  let cursor = null;
+  do {
+    const remaining = cursor
+      ? documents.filter(document => matches(document, buildCursorFilter(pageSort, decodeCursor(cursor, pageSort))))
+      : documents;
+    const page = sortDocuments(remaining, pageSort).slice(0, 2);
+    seen.push(...page.map(document => document._id));
+    cursor = page.length === 2 ? encodeCursor(page[1], pageSort) : null;
+  } while (cursor);
+  return seen;
+};
+
+const collection = [
+  { _id: 1, createdAt: new Date('2024-03-01') },
+  { _id: 2 },
+  { _id: 3, createdAt: null },
+  { _id: 4, createdAt: new Date('2024-01-01') },
+  { _id: 5 },
+  { _id: 6, createdAt: 'yesterday' },
+  { _id: 7, createdAt: 42 },
+  { _id: 8, createdAt: new Date('2024-01-01') },
+  { _id: 9, createdAt: true },
+  { _id: 10, createdAt: null }
+];
+
+test('normalizeSort maps directions to 1/-1 and appends _id', () => {
+  assert.deepEqual(normalizeSort({ a: 'desc', b: 'asc', c: -1 }), { a: -1, b: 1, c: -1, _id: 1 });
+  assert.deepEqual(normalizeSort({ _id: -1 }), { _id: -1 });
+  assert.deepEqual(normalizeSort(), { _id: 1 });
+});
+
+test('cursors round-trip the sort values and reject a different sort', () => {
+  const sort = normalizeSort({ createdAt: -1 });
+  const cursor = encodeCursor({ _id: 4, createdAt: new Date('2024-01-01') }, sort);
+  assert.deepEqual(decodeCursor(cursor, sort), [new Date('2024-01-01'), 4]);
+  assert.deepEqual(decodeCursor(encodeCursor({ _id: 2 }, sort), sort), [null, 2]);
+  assert.throws(() => decodeCursor(cursor, normalizeSort({ createdAt: 1 })), /different sort/);
+  assert.throws(() => decodeCursor('not a cursor', sort), /Invalid cursor/);
+});
+
+test('ascending pages keep the documents after null and missing sort values', () => {
+  const expected = sortDocuments(collection, normalizeSort({ createdAt: 1 })).map(document => document._id);
+  assert.deepEqual(expected, [2, 3, 5, 10, 7, 6, 9, 4, 8, 1]);
+  assert.deepEqual(pageThrough(collection, { createdAt: 1 }), expected);
+});
+
+test('descending pages reach the documents with null or missing sort values', () => {
+  const expected = sortDocuments(collection, normalizeSort({ createdAt: -1 })).map(document => document._id);
+  assert.deepEqual(expected, [1, 4, 8, 9, 6, 7, 2, 3, 5, 10]);
+  assert.deepEqual(pageThrough(collection, { createdAt: -1 }), expected);
+});
+
+test('the cursor filter for a null value matches null and missing through equality', () => {
+  const filter = buildCursorFilter({ createdAt: 1, _id: 1 }, [null, 3]);
+  assert.deepEqual(filter.$or[0], { createdAt: { $type: ['double', 'int', 'long', 'decimal', 'string', 'symbol', 'object', 'array', 'binData', 'objectId', 'bool', 'date', 'timestamp', 'regex'] } });
+  assert.deepEqual(filter.$or[1], { createdAt: null, _id: { $gt: 3 } });
+});
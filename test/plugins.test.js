@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MongoMCPServer } = require('../server');
+
+const recordingPlugin = {
+  name: 'recording',
+  register({ server, config, options, helpers }) {
+    server.registerTool({
+      name: `echo_${options.suffix}`,
+      description: 'Echo',
+      inputSchema: { type: 'object', properties: {} },
+      handler: async () => ({ content: [] })
+    });
+    this.seen.push({ config, options, limit: helpers.clampLimit(1000), guard: helpers.getQueryGuardSettings() });
+  },
+  seen: []
+};
+
+test('each server keeps its own config and passes it to its plugins', async () => {
+  const first = new MongoMCPServer({
+    config: { server: { name: 'first' }, query: { maxLimit: 10, maxResponseBytes: 1000 } },
+    plugins: [{ module: recordingPlugin, options: { suffix: 'a' } }]
+  });
+  const second = new MongoMCPServer({
+    config: { server: { name: 'second' }, query: { maxLimit: 20 } },
+    plugins: [{ module: recordingPlugin, options: { suffix: 'b' } }]
+  });
+  await first.loadPlugins();
+  await second.loadPlugins();
+
+  assert.equal(first.config.server.name, 'first');
+  assert.equal(second.config.server.name, 'second');
+  assert.deepEqual([...first.tools.keys()], ['echo_a']);
+  assert.deepEqual([...second.tools.keys()], ['echo_b']);
+
+  const [a, b] = recordingPlugin.seen;
+  assert.equal(a.config, first.config);
+  assert.equal(b.config, second.config);
+  assert.equal(a.limit, 10);
+  assert.equal(b.limit, 20);
+  assert.equal(a.guard.maxResponseBytes, 1000);
+  assert.notEqual(b.guard.maxResponseBytes, 1000);
+});
+
+test('loading the module or creating a server installs no signal handlers', () => {
+  const listeners = process.listenerCount('SIGINT');
+  new MongoMCPServer({ config: {} });
+  assert.equal(process.listenerCount('SIGINT'), listeners);
+  assert.throws(() => new MongoMCPServer(), /needs a config object/);
+});
+
+test('a plugin that fails to register names itself in the error', async () => {
+  const server = new MongoMCPServer({ config: {}, plugins: [{ name: 'broken', register() { throw new Error('no models'); } }] });
+  await assert.rejects(server.loadPlugins(), /Failed to load plugin "broken": no models/);
+});
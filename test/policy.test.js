@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('../server');
+
+const { TOOL_POLICIES, applyToolPolicy, enforceToolPolicy, matchesAuditFilter } = internals;
+
+const config = {
+  security: {
+    readOnly: false,
+    tools: { deny: ['drop_index'] },
+    collections: { deny: ['system.*', 'secrets'] },
+    confirmDestructive: true
+  }
+};
+
+const tool = (name) => ({ name, description: name, inputSchema: { type: 'object', properties: {}, required: [] } });
+const policyFor = (name) => TOOL_POLICIES[name];
+
+test('denied tools and collections are refused', () => {
+  assert.throws(() => enforceToolPolicy(config, 'drop_index', {}, TOOL_POLICIES.drop_index), /disabled by the server security policy/);
+  assert.throws(
+    () => enforceToolPolicy(config, 'get_documents', { collectionName: 'secrets' }, TOOL_POLICIES.get_documents),
+    /collection "secrets" is not allowed/
+  );
+  assert.throws(
+    () => enforceToolPolicy(config, 'aggregate', { collectionName: 'orders', pipeline: [{ $lookup: { from: 'system.users' } }] }, TOOL_POLICIES.aggregate),
+    /collection "system.users"/
+  );
+  assert.doesNotThrow(() => enforceToolPolicy(config, 'get_documents', { collectionName: 'orders' }, TOOL_POLICIES.get_documents));
+});
+
+test('read-only mode refuses writes, including the per-call ones', () => {
+  const readOnly = { security: { readOnly: true } };
+  assert.throws(() => enforceToolPolicy(readOnly, 'add_document', { collectionName: 'orders' }, TOOL_POLICIES.add_document), /read-only/);
+  assert.throws(
+    () => enforceToolPolicy(readOnly, 'export_documents', { collectionName: 'orders', filePath: 'out.jsonl' }, TOOL_POLICIES.export_documents),
+    /read-only/
+  );
+  assert.doesNotThrow(() => enforceToolPolicy(readOnly, 'export_documents', { collectionName: 'orders' }, TOOL_POLICIES.export_documents));
+  const names = applyToolPolicy(readOnly, [tool('add_document'), tool('aggregate'), tool('get_documents')], policyFor).map(({ name }) => name);
+  assert.deepEqual(names, ['aggregate', 'get_documents']);
+});
+
+test('destructive calls need the confirmation, except delete_documents dry runs', () => {
+  const args = { collectionName: 'orders', filter: { status: 'old' } };
+  assert.throws(() => enforceToolPolicy(config, 'delete_documents', args, TOOL_POLICIES.delete_documents), /"confirm": "orders"/);
+  assert.doesNotThrow(() => enforceToolPolicy(config, 'delete_documents', { ...args, confirm: 'orders' }, TOOL_POLICIES.delete_documents));
+  assert.doesNotThrow(() => enforceToolPolicy(config, 'delete_documents', { ...args, dryRun: true }, TOOL_POLICIES.delete_documents));
+  assert.throws(() => enforceToolPolicy(config, 'prune_snapshots', {}, TOOL_POLICIES.prune_snapshots), /"confirm": "prune_snapshots"/);
+
+  const [deleteTool, collectionTool] = applyToolPolicy(config, [tool('delete_documents'), tool('delete_collection')], policyFor);
+  assert.equal(deleteTool.inputSchema.required.includes('confirm'), false);
+  assert.ok(deleteTool.inputSchema.properties.confirm);
+  assert.ok(collectionTool.inputSchema.required.includes('confirm'));
+});
+
+test('skipping a snapshot is always confirmed', () => {
+  const args = { collectionName: 'orders', filter: {}, update: {}, skipSnapshot: true };
+  assert.throws(() => enforceToolPolicy({}, 'update_documents', args, TOOL_POLICIES.update_documents), /skipping the snapshot/);
+  assert.doesNotThrow(() => enforceToolPolicy({}, 'update_documents', { ...args, confirm: 'orders' }, TOOL_POLICIES.update_documents));
+});
+
+test('opt-in tools stay off until enabled', () => {
+  const policy = { optIn: true };
+  assert.throws(() => enforceToolPolicy({}, 'run_solution', {}, policy), /security.tools.enable/);
+  assert.deepEqual(applyToolPolicy({}, [tool('run_solution')], () => policy), []);
+  const enabled = { security: { tools: { enable: ['run_solution'] } } };
+  assert.doesNotThrow(() => enforceToolPolicy(enabled, 'run_solution', {}, policy));
+  assert.equal(applyToolPolicy(enabled, [tool('run_solution')], () => policy).length, 1);
+});
+
+test('audit entries on hidden collections are left out', () => {
+  const isCollectionVisible = (name) => name !== 'secrets';
+  const entry = { tool: 'get_documents', collections: ['secrets'], timestamp: '2024-01-01T00:00:00Z', success: true };
+  assert.equal(matchesAuditFilter(entry, { isCollectionVisible }), false);
+  assert.equal(matchesAuditFilter({ ...entry, collections: ['orders'] }, { isCollectionVisible, tool: 'get_documents' }), true);
+  assert.equal(matchesAuditFilter({ ...entry, collections: [] }, { isCollectionVisible, success: false }), false);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('../plugins/dsa');
+
+const { runSandboxedCase } = internals;
+
+const run = (code, input = '') => runSandboxedCase(code, input, {
+  entry: 'solve',
+  inputFormat: 'string',
+  timeoutMs: 1000,
+  memoryMb: 64
+});
+
+test('a solution gets its input and returns its result', async () => {
+  const result = await run('function solve(input) { console.log("seen", input); return input.split(",").map(Number).reduce((a, b) => a + b, 0); }', '1,2,3');
+  assert.equal(result.error, undefined);
+  assert.equal(result.actual, '6');
+  assert.deepEqual(result.logs, ['seen 1,2,3']);
+});
+
+test('string evaluation is rejected inside the sandbox', async () => {
+  for (const expression of ['eval("1 + 1")', 'Function("return 1")()', 'new Function("return 1")()', '(async () => {}).constructor("return 1")']) {
+    const result = await run(`function solve() { return ${expression}; }`);
+    assert.equal(result.actual, null, expression);
+    assert.match(result.error, /Code generation from strings disallowed/, expression);
+  }
+});
+
+test('host objects are out of reach', async () => {
+  const probes = [
+    'typeof process',
+    'typeof require',
+    'this.constructor && this.constructor.constructor("return process")()',
+    'console.log.constructor("return process")()',
+    'typeof Object.getPrototypeOf(globalThis).constructor.constructor("return process")()'
+  ];
+  for (const probe of probes) {
+    const result = await run(`function solve() { return ${probe}; }`);
+    assert.ok(
+      result.error || ['undefined', 'null'].includes(result.actual),
+      `${probe} gave ${result.actual}`
+    );
+  }
+});
+
+test('runaway solutions time out', async () => {
+  const result = await run('function solve() { for (;;) {} }');
+  assert.match(result.error, /timed out/i);
+});
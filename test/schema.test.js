@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('../server');
+
+const { createDynamicSchema, inferSchema, schemaToDefinition } = internals;
+
+test('field definitions become mongoose paths', () => {
+  const schema = createDynamicSchema({
+    name: { type: 'String', required: true, maxLength: 40 },
+    tags: { type: 'Array', itemType: 'String' },
+    address: { type: 'Object', fields: { city: { type: 'String' } } }
+  });
+  assert.equal(schema.path('name').instance, 'String');
+  assert.equal(schema.path('name').isRequired, true);
+  assert.equal(schema.path('tags').instance, 'Array');
+  assert.equal(schema.path('address.city').instance, 'String');
+  assert.ok(schema.path('createdAt'));
+});
+
+test('unknown types are reported, including Object.prototype member names', () => {
+  for (const type of ['constructor', 'toString', '__proto__', 'hasOwnProperty', 'common', 'Strng']) {
+    assert.throws(
+      () => createDynamicSchema({ field: { type } }),
+      new RegExp(`field: unsupported type "${type}" \\(expected one of String,`),
+      type
+    );
+  }
+  assert.throws(() => createDynamicSchema({ field: { type: ['String'] } }), /field: unsupported type \["String"\]/);
+});
+
+test('every problem is listed at once', () => {
+  assert.throws(
+    () => createDynamicSchema({ a: { type: 'Number', maxLength: 3 }, b: { type: 'Array', items: { type: 'valueOf' } } }),
+    (error) => /option "maxLength" is not supported/.test(error.message) && /b\[\]: unsupported type "valueOf"/.test(error.message)
+  );
+});
+
+const sample = [
+  { _id: 1, name: 'Ada', age: 36, tags: ['math'], address: { city: 'London', zip: 1 }, items: [{ sku: 'a', qty: 1 }], note: null },
+  { _id: 2, name: 'Alan', age: 'unknown', tags: [], address: { city: 'Wilmslow' }, items: [{ sku: 'b' }] }
+];
+
+test('inferred fields carry nested paths, type rates, null and missing rates', () => {
+  const byPath = Object.fromEntries(inferSchema(sample).map(field => [field.path, field]));
+  assert.deepEqual(Object.keys(byPath), [
+    '_id', 'name', 'age', 'tags', 'tags[]', 'address', 'address.city', 'address.zip',
+    'items', 'items[]', 'items[].sku', 'items[].qty', 'note'
+  ]);
+  assert.deepEqual(byPath.age.types, { number: { count: 1, rate: 0.5 }, string: { count: 1, rate: 0.5 } });
+  assert.equal(byPath['address.zip'].missingRate, 0.5);
+  assert.equal(byPath.note.nullRate, 1);
+  assert.equal(byPath.note.missingRate, 0.5);
+  assert.deepEqual(byPath.name.examples, ['Ada', 'Alan']);
+  assert.deepEqual(byPath.address.examples, []);
+  assert.equal(inferSchema(sample, 1).find(field => field.path === 'name').examples.length, 1);
+});
+
+test('inferred definitions are accepted by create_collection', () => {
+  const definition = schemaToDefinition(inferSchema(sample), sample.length);
+  assert.deepEqual(Object.keys(definition), ['name', 'age', 'tags', 'address', 'items', 'note']);
+  assert.deepEqual(definition.name, { type: 'String', required: true });
+  assert.deepEqual(definition.age, { type: 'Mixed', required: false });
+  assert.deepEqual(definition.tags, { type: 'Array', required: true, itemType: 'String' });
+  assert.deepEqual(definition.address.fields, {
+    city: { type: 'String', required: true },
+    zip: { type: 'Number', required: false }
+  });
+  assert.deepEqual(definition.items.items, {
+    type: 'Object',
+    fields: { sku: { type: 'String', required: true }, qty: { type: 'Number', required: false } }
+  });
+  assert.doesNotThrow(() => createDynamicSchema(definition));
+});